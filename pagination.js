@@ -0,0 +1,216 @@
+/*
+  Carousel Pagination
+  Dots or a thumbnail rail for a GradientCarousel. Each item is tinted with
+  its slide's palette, the centered one grows with the scroll position, and
+  clicking one navigates there. Uses only the carousel's public API: its
+  events, `slides`, `activeIndex`, `getPalette()`, `isReducedMotion()`,
+  `goTo()` and `root`.
+
+  Usage:
+    const pagination = new CarouselPagination(carousel, { mode: 'thumbnails' });
+    pagination.destroy();   // Also runs when the carousel is destroyed
+
+  Styling hooks (see styles.css):
+    .gc-pagination, .gc-pagination--dots, .gc-pagination--thumbnails
+    .gc-pagination__item, [aria-current="true"] on the centered one
+    --gc-item-1 / --gc-item-2   The slide's two gradient colors
+    --gc-active                 0-1, how close the item is to the center
+    --gc-progress               0-1 around the loop, on the container
+*/
+
+(function () {
+  'use strict';
+
+  // ==========================================================================
+  // CONFIGURATION
+  // ==========================================================================
+
+  const DEFAULTS = Object.freeze({
+    mode: 'dots',          // 'dots' or 'thumbnails'
+    container: null,       // Element to append to, defaults to the carousel root
+    label: 'Slides',       // Accessible name of the navigation
+  });
+
+  const MODES = ['dots', 'thumbnails'];
+
+  // ==========================================================================
+  // HELPERS
+  // ==========================================================================
+
+  /**
+   * Format an RGB triple as a CSS color
+   * @param {number[]} c - [r, g, b]
+   * @returns {string}
+   */
+  function rgb(c) {
+    return `rgb(${c.map(Math.round).join(' ')})`;
+  }
+
+  // ==========================================================================
+  // COMPONENT
+  // ==========================================================================
+
+  class CarouselPagination {
+    /**
+     * @param {GradientCarousel} carousel
+     * @param {Object} [options] - See DEFAULTS
+     */
+    constructor(carousel, options = {}) {
+      this.options = { ...DEFAULTS, ...options };
+      if (!MODES.includes(this.options.mode)) {
+        throw new TypeError(`CarouselPagination: "mode" must be one of ${MODES.join(', ')}`);
+      }
+
+      this.carousel = carousel;
+      this.items = [];
+      this._active = [];          // Last --gc-active written per item
+      this._current = -1;
+
+      const { mode, label } = this.options;
+      this.el = document.createElement('nav');
+      this.el.className = `gc-pagination gc-pagination--${mode}`;
+      this.el.setAttribute('aria-label', label);
+
+      // Presses and wheel scrolling here belong to the pagination, not the
+      // carousel underneath
+      this.el.addEventListener('pointerdown', (e) => e.stopPropagation());
+      this.el.addEventListener('wheel', (e) => e.stopPropagation());
+      this.el.addEventListener('click', (e) => {
+        const item = e.target.closest('.gc-pagination__item');
+        if (item) carousel.goTo(this.items.indexOf(item));
+      });
+
+      (this.options.container || carousel.root).appendChild(this.el);
+
+      this._off = [
+        carousel.on('slides', () => this.render()),
+        carousel.on('change', ({ index }) => this.setCurrent(index)),
+        carousel.on('scroll', ({ progress }) => this.setProgress(progress)),
+        carousel.on('palette', ({ index }) => {
+          if (index === null) this.items.forEach((_, i) => this.tint(i));
+          else this.tint(index);
+        }),
+        carousel.on('destroy', () => this.destroy()),
+      ];
+
+      this.render();
+    }
+
+    /**
+     * Rebuild the items from the carousel's slides
+     */
+    render() {
+      const { slides } = this.carousel;
+      const thumbnails = this.options.mode === 'thumbnails';
+
+      this.items = slides.map((slide, i) => {
+        const item = document.createElement('button');
+        item.type = 'button';
+        item.className = 'gc-pagination__item';
+        item.setAttribute('aria-label', slide.title || `Slide ${i + 1}`);
+
+        if (thumbnails) {
+          const img = document.createElement('img');
+          img.src = slide.src;
+          img.alt = '';
+          img.loading = 'lazy';
+          img.decoding = 'async';
+          item.appendChild(img);
+        }
+        return item;
+      });
+      this.el.replaceChildren(...this.items);
+      this._active = this.items.map(() => -1);
+      this._current = -1;
+
+      this.items.forEach((_, i) => this.tint(i));
+      const index = this.carousel.activeIndex;
+      this.setCurrent(index);
+      this.setProgress(index >= 0 ? index / slides.length : 0);
+    }
+
+    /**
+     * Tint an item with its slide's gradient colors, once they are known
+     * @param {number} index
+     */
+    tint(index) {
+      const item = this.items[index];
+      const palette = this.carousel.getPalette(index);
+      if (!item || !palette) return;
+
+      item.style.setProperty('--gc-item-1', rgb(palette.c1));
+      item.style.setProperty('--gc-item-2', rgb(palette.c2));
+    }
+
+    /**
+     * Mark the centered slide's item
+     * @param {number} index
+     */
+    setCurrent(index) {
+      if (index === this._current) return;
+      this.items[this._current]?.removeAttribute('aria-current');
+      this._current = index;
+
+      const item = this.items[index];
+      if (!item) return;
+      item.setAttribute('aria-current', 'true');
+
+      // Keep the current thumbnail in view without scrolling the page
+      if (this.options.mode === 'thumbnails') {
+        const { el } = this;
+        const left = item.offsetLeft - (el.clientWidth - item.offsetWidth) / 2;
+        el.scrollTo({ left, behavior: this.carousel.isReducedMotion() ? 'auto' : 'smooth' });
+      }
+    }
+
+    /**
+     * Grow each item by how close its slide is to the center
+     * @param {number} progress - 0-1 around the loop
+     */
+    setProgress(progress) {
+      const count = this.items.length;
+      const position = progress * count;
+      this.el.style.setProperty('--gc-progress', progress.toFixed(4));
+
+      for (let i = 0; i < count; i++) {
+        // Shortest distance around the loop, in slides
+        const d = (((i - position) % count) + count * 1.5) % count - count / 2;
+        const active = Math.round(Math.max(0, 1 - Math.abs(d)) * 1000) / 1000;
+        if (active === this._active[i]) continue;
+
+        this._active[i] = active;
+        this.items[i].style.setProperty('--gc-active', active);
+      }
+    }
+
+    /**
+     * Remove the element and stop listening to the carousel. Runs on its own
+     * when the carousel is destroyed.
+     */
+    destroy() {
+      this._off.forEach((off) => off());
+      this._off = [];
+      this.el.remove();
+      this.items = [];
+    }
+  }
+
+  // ==========================================================================
+  // START APPLICATION
+  // ==========================================================================
+
+  window.CarouselPagination = CarouselPagination;
+
+  // <main data-gradient-carousel data-carousel-pagination="thumbnails">
+  document.querySelectorAll('[data-carousel-pagination]').forEach((el) => {
+    if (!el.gradientCarousel) return;
+    // A bad attribute on one carousel must not stop the others
+    try {
+      el.carouselPagination = new CarouselPagination(el.gradientCarousel, {
+        mode: el.dataset.carouselPagination || 'dots',
+      });
+    } catch (err) {
+      console.error(err);
+    }
+  });
+})();
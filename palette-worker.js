@@ -0,0 +1,28 @@
+/*
+  Palette Worker
+  Runs GradientPalette.extractPalette off the main thread. Receives an
+  already downscaled ImageBitmap, draws it onto an OffscreenCanvas and posts
+  the palette back.
+
+  Message in:   { id, bitmap: ImageBitmap, opts: { method, size } }
+  Message out:  { id, palette } or { id, error }
+*/
+
+importScripts('./palette.js');
+
+self.addEventListener('message', (e) => {
+  const { id, bitmap, opts } = e.data;
+
+  try {
+    const canvas = new OffscreenCanvas(bitmap.width, bitmap.height);
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(bitmap, 0, 0);
+    bitmap.close();
+
+    // Throws for cross-origin images served without CORS
+    const { data } = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    self.postMessage({ id, palette: self.GradientPalette.extractPalette(data, opts) });
+  } catch (err) {
+    self.postMessage({ id, error: String(err?.message || err) });
+  }
+});
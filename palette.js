@@ -0,0 +1,841 @@
+/*
+  Gradient Palette
+  Color extraction shared by the carousel and anything else that needs the
+  same results. Pure functions over RGBA pixel data: no DOM access, so the
+  module runs in the page, in a worker or in Node.
+
+  Browser / worker:  exposes `GradientPalette` on the global object
+  Node:              module.exports
+*/
+
+(function (root, factory) {
+  const api = factory();
+  if (typeof module === 'object' && module.exports) module.exports = api;
+  else root.GradientPalette = api;
+})(typeof self !== 'undefined' ? self : this, () => {
+  'use strict';
+
+  // ==========================================================================
+  // CONFIGURATION
+  // ==========================================================================
+
+  // Bump whenever extraction results change, so cached palettes are dropped
+  const VERSION = 2;
+
+  // Longest side of the downscaled image that gets sampled
+  const SAMPLE_SIZE = 48;
+
+  // Format version of palette manifests written by toManifest()
+  const MANIFEST_VERSION = 1;
+
+  // Color spaces mixColors() can interpolate in
+  const MIX_SPACES = ['oklch', 'oklab', 'srgb'];
+
+  // OKLCH chroma below which a hue is meaningless and mixing falls back to OKLab
+  const MIX_CHROMA_MIN = 0.02;
+
+  // Supported extraction methods
+  const METHODS = ['histogram', 'median-cut', 'kmeans'];
+
+  // Weighted share of chromatic pixels below which an image counts as grayscale
+  const GRAYSCALE_SHARE = 0.08;
+
+  // OKLCH chroma above which a pixel counts as chromatic
+  const CHROMA_MIN = 0.05;
+
+  // ==========================================================================
+  // COLOR SPACES
+  // ==========================================================================
+
+  /**
+   * Convert RGB to HSL color space
+   * @param {number} r - Red (0-255)
+   * @param {number} g - Green (0-255)
+   * @param {number} b - Blue (0-255)
+   * @returns {[number, number, number]} [hue (0-360), saturation (0-1), lightness (0-1)]
+   */
+  function rgbToHsl(r, g, b) {
+    r /= 255;
+    g /= 255;
+    b /= 255;
+
+    const max = Math.max(r, g, b);
+    const min = Math.min(r, g, b);
+    let h, s;
+    const l = (max + min) / 2;
+
+    if (max === min) {
+      h = 0;
+      s = 0; // Achromatic
+    } else {
+      const d = max - min;
+      s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
+
+      switch (max) {
+        case r:
+          h = (g - b) / d + (g < b ? 6 : 0);
+          break;
+        case g:
+          h = (b - r) / d + 2;
+          break;
+        default:
+          h = (r - g) / d + 4;
+          break;
+      }
+      h /= 6;
+    }
+
+    return [h * 360, s, l];
+  }
+
+  /**
+   * Convert HSL to RGB color space
+   * @param {number} h - Hue (0-360)
+   * @param {number} s - Saturation (0-1)
+   * @param {number} l - Lightness (0-1)
+   * @returns {[number, number, number]} [red (0-255), green (0-255), blue (0-255)]
+   */
+  function hslToRgb(h, s, l) {
+    h = ((h % 360) + 360) % 360;
+    h /= 360;
+    let r, g, b;
+
+    if (s === 0) {
+      r = g = b = l; // Achromatic
+    } else {
+      const hue2rgb = (p, q, t) => {
+        if (t < 0) t += 1;
+        if (t > 1) t -= 1;
+        if (t < 1 / 6) return p + (q - p) * 6 * t;
+        if (t < 1 / 2) return q;
+        if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
+        return p;
+      };
+
+      const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+      const p = 2 * l - q;
+      r = hue2rgb(p, q, h + 1 / 3);
+      g = hue2rgb(p, q, h);
+      b = hue2rgb(p, q, h - 1 / 3);
+    }
+
+    return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255)];
+  }
+
+  /**
+   * sRGB channel (0-255) to linear light (0-1)
+   */
+  function toLinear(c) {
+    c /= 255;
+    return c <= 0.04045 ? c / 12.92 : Math.pow((c + 0.055) / 1.055, 2.4);
+  }
+
+  /**
+   * Linear light (0-1) to sRGB channel (0-1, unclamped)
+   */
+  function fromLinear(c) {
+    return c <= 0.0031308 ? 12.92 * c : 1.055 * Math.pow(c, 1 / 2.4) - 0.055;
+  }
+
+  /**
+   * Convert RGB to OKLab
+   * @param {number} r - Red (0-255)
+   * @param {number} g - Green (0-255)
+   * @param {number} b - Blue (0-255)
+   * @returns {[number, number, number]} [L (0-1), a, b]
+   */
+  function rgbToOklab(r, g, b) {
+    const lr = toLinear(r);
+    const lg = toLinear(g);
+    const lb = toLinear(b);
+
+    const l = Math.cbrt(0.4122214708 * lr + 0.5363325363 * lg + 0.0514459929 * lb);
+    const m = Math.cbrt(0.2119034982 * lr + 0.6806995451 * lg + 0.1073969566 * lb);
+    const s = Math.cbrt(0.0883024619 * lr + 0.2817188376 * lg + 0.6299787005 * lb);
+
+    return [
+      0.2104542553 * l + 0.793617785 * m - 0.0040720468 * s,
+      1.9779984951 * l - 2.428592205 * m + 0.4505937099 * s,
+      0.0259040371 * l + 0.7827717662 * m - 0.808675766 * s,
+    ];
+  }
+
+  /**
+   * Convert OKLab to linear-light RGB (unclamped, may be out of gamut)
+   */
+  function oklabToLinear(L, a, b) {
+    const l = Math.pow(L + 0.3963377774 * a + 0.2158037573 * b, 3);
+    const m = Math.pow(L - 0.1055613458 * a - 0.0638541728 * b, 3);
+    const s = Math.pow(L - 0.0894841775 * a - 1.291485548 * b, 3);
+
+    return [
+      4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s,
+      -1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s,
+      -0.0041960863 * l - 0.7034186147 * m + 1.707612701 * s,
+    ];
+  }
+
+  /**
+   * Convert OKLab to RGB, clamping to the sRGB gamut
+   * @param {number} L - Lightness (0-1)
+   * @param {number} a
+   * @param {number} b
+   * @returns {[number, number, number]} [red, green, blue] (0-255)
+   */
+  function oklabToRgb(L, a, b) {
+    return oklabToLinear(L, a, b).map((c) =>
+      Math.round(Math.max(0, Math.min(1, fromLinear(c))) * 255)
+    );
+  }
+
+  /**
+   * Convert OKLab to OKLCH
+   * @returns {[number, number, number]} [L, chroma, hue (0-360)]
+   */
+  function oklabToOklch(L, a, b) {
+    const h = (Math.atan2(b, a) * 180) / Math.PI;
+    return [L, Math.hypot(a, b), (h + 360) % 360];
+  }
+
+  /**
+   * Convert OKLCH to RGB, reducing chroma until the color fits in sRGB so
+   * the hue is preserved instead of clipping channels
+   * @param {number} L - Lightness (0-1)
+   * @param {number} C - Chroma
+   * @param {number} h - Hue (0-360)
+   * @returns {[number, number, number]} [red, green, blue] (0-255)
+   */
+  function oklchToRgb(L, C, h) {
+    const rad = (h * Math.PI) / 180;
+    let c = C;
+
+    for (let i = 0; i < 24; i++) {
+      const lin = oklabToLinear(L, c * Math.cos(rad), c * Math.sin(rad));
+      if (lin.every((v) => v >= -1e-4 && v <= 1 + 1e-4)) break;
+      c *= 0.9;
+    }
+
+    return oklabToRgb(L, c * Math.cos(rad), c * Math.sin(rad));
+  }
+
+  /**
+   * WCAG 2 relative luminance
+   * @param {number[]} rgb - [red, green, blue] (0-255)
+   * @returns {number} 0 (black) to 1 (white)
+   */
+  function relativeLuminance([r, g, b]) {
+    return 0.2126 * toLinear(r) + 0.7152 * toLinear(g) + 0.0722 * toLinear(b);
+  }
+
+  /**
+   * WCAG 2 contrast ratio between two colors
+   * @param {number[]} a - RGB (0-255)
+   * @param {number[]} b - RGB (0-255)
+   * @returns {number} 1 to 21
+   */
+  function contrastRatio(a, b) {
+    const la = relativeLuminance(a);
+    const lb = relativeLuminance(b);
+    return (Math.max(la, lb) + 0.05) / (Math.min(la, lb) + 0.05);
+  }
+
+  /**
+   * Interpolate between two colors
+   * @param {number[]} from - RGB (0-255)
+   * @param {number[]} to - RGB (0-255)
+   * @param {number} t - Progress (0-1)
+   * @param {string} [space='oklch'] - 'oklch' (shortest hue path), 'oklab' or 'srgb'
+   * @returns {[number, number, number]} RGB (0-255)
+   */
+  function mixColors(from, to, t, space = 'oklch') {
+    const lerp = (a, b) => a + (b - a) * t;
+
+    if (space === 'srgb') return [0, 1, 2].map((i) => lerp(from[i], to[i]));
+
+    const a = rgbToOklab(...from);
+    const b = rgbToOklab(...to);
+    const [L1, C1, h1] = oklabToOklch(...a);
+    const [L2, C2, h2] = oklabToOklch(...b);
+
+    // Grays have no hue to rotate through; OKLab blends them straight
+    if (space === 'oklab' || C1 < MIX_CHROMA_MIN || C2 < MIX_CHROMA_MIN) {
+      return oklabToRgb(lerp(a[0], b[0]), lerp(a[1], b[1]), lerp(a[2], b[2]));
+    }
+
+    const dh = ((h2 - h1 + 540) % 360) - 180; // Signed shortest hue delta
+    return oklchToRgb(lerp(L1, L2), lerp(C1, C2), (h1 + dh * t + 360) % 360);
+  }
+
+  /**
+   * Shortest distance between two hues in degrees
+   */
+  function hueDistance(h1, h2) {
+    const d = Math.abs(h1 - h2) % 360;
+    return Math.min(d, 360 - d);
+  }
+
+  // ==========================================================================
+  // SAMPLING
+  // ==========================================================================
+
+  /**
+   * Size of the downscaled sample for an image, longest side SAMPLE_SIZE
+   * @param {number} width - Natural width
+   * @param {number} height - Natural height
+   * @returns {{width: number, height: number}}
+   */
+  function sampleSize(width, height) {
+    const ratio = width && height ? width / height : 1;
+    return {
+      width: ratio >= 1 ? SAMPLE_SIZE : Math.max(16, Math.round(SAMPLE_SIZE * ratio)),
+      height: ratio >= 1 ? Math.max(16, Math.round(SAMPLE_SIZE / ratio)) : SAMPLE_SIZE,
+    };
+  }
+
+  /**
+   * Convert RGBA data into OKLab samples weighted by alpha
+   * @param {Uint8ClampedArray|Uint8Array} data - RGBA pixels
+   * @returns {{L: Float32Array, A: Float32Array, B: Float32Array, W: Float32Array, count: number, chromaShare: number}}
+   */
+  function toSamples(data) {
+    const n = data.length / 4;
+    const L = new Float32Array(n);
+    const A = new Float32Array(n);
+    const B = new Float32Array(n);
+    const W = new Float32Array(n);
+    let count = 0;
+    let total = 0;
+    let chromatic = 0;
+
+    for (let i = 0; i < data.length; i += 4) {
+      const w = data[i + 3] / 255;
+      if (w < 0.05) continue; // Skip transparent pixels
+
+      const [l, a, b] = rgbToOklab(data[i], data[i + 1], data[i + 2]);
+      L[count] = l;
+      A[count] = a;
+      B[count] = b;
+      W[count] = w;
+      count++;
+
+      total += w;
+      if (Math.hypot(a, b) > CHROMA_MIN) chromatic += w;
+    }
+
+    return { L, A, B, W, count, chromaShare: total ? chromatic / total : 0 };
+  }
+
+  // ==========================================================================
+  // CLUSTERING
+  // ==========================================================================
+
+  /**
+   * Weighted mean of a group of samples
+   */
+  function meanOf(px, indices) {
+    let w = 0;
+    let l = 0;
+    let a = 0;
+    let b = 0;
+    for (const i of indices) {
+      const pw = px.W[i];
+      w += pw;
+      l += px.L[i] * pw;
+      a += px.A[i] * pw;
+      b += px.B[i] * pw;
+    }
+    return w ? { lab: [l / w, a / w, b / w], weight: w } : null;
+  }
+
+  /**
+   * Median cut in OKLab: repeatedly split the box with the widest channel
+   * range at its weighted median
+   * @returns {Array<{lab: number[], weight: number}>}
+   */
+  function medianCut(px, count) {
+    const channels = [px.L, px.A, px.B];
+    const all = [];
+    for (let i = 0; i < px.count; i++) all.push(i);
+    const boxes = [all];
+
+    while (boxes.length < count) {
+      // Find the box and axis with the largest spread
+      let best = -1;
+      let bestAxis = 0;
+      let bestRange = 0;
+
+      boxes.forEach((box, bi) => {
+        if (box.length < 2) return;
+        channels.forEach((ch, axis) => {
+          let min = Infinity;
+          let max = -Infinity;
+          for (const i of box) {
+            if (ch[i] < min) min = ch[i];
+            if (ch[i] > max) max = ch[i];
+          }
+          if (max - min > bestRange) {
+            bestRange = max - min;
+            best = bi;
+            bestAxis = axis;
+          }
+        });
+      });
+
+      if (best < 0 || bestRange < 1e-4) break;
+
+      // Split at the weighted median along that axis
+      const ch = channels[bestAxis];
+      const box = boxes[best].sort((i, j) => ch[i] - ch[j]);
+      let half = 0;
+      for (const i of box) half += px.W[i];
+      half /= 2;
+
+      let acc = 0;
+      let cut = 1;
+      for (let k = 0; k < box.length - 1; k++) {
+        acc += px.W[box[k]];
+        if (acc >= half) {
+          cut = k + 1;
+          break;
+        }
+      }
+
+      // Never split a run of equal values: move the cut to the nearest
+      // boundary between distinct values
+      let hi = cut;
+      while (hi < box.length && ch[box[hi]] === ch[box[hi - 1]]) hi++;
+      let lo = cut;
+      while (lo > 1 && ch[box[lo]] === ch[box[lo - 1]]) lo--;
+      cut = hi < box.length && hi - cut <= cut - lo ? hi : lo;
+      if (ch[box[cut]] === ch[box[cut - 1]]) cut = hi < box.length ? hi : lo;
+
+      boxes.splice(best, 1, box.slice(0, cut), box.slice(cut));
+    }
+
+    return boxes.map((box) => meanOf(px, box)).filter(Boolean);
+  }
+
+  /**
+   * K-means in OKLab, seeded with the median cut result so it is
+   * deterministic
+   * @returns {Array<{lab: number[], weight: number}>}
+   */
+  function kMeans(px, count, iterations = 10) {
+    let centers = medianCut(px, count).map((c) => c.lab);
+    const assign = new Int32Array(px.count);
+
+    for (let it = 0; it < iterations; it++) {
+      let changed = false;
+
+      // Assign each sample to its nearest center
+      for (let i = 0; i < px.count; i++) {
+        let nearest = 0;
+        let nearestD = Infinity;
+        for (let c = 0; c < centers.length; c++) {
+          const [l, a, b] = centers[c];
+          const d = (px.L[i] - l) ** 2 + (px.A[i] - a) ** 2 + (px.B[i] - b) ** 2;
+          if (d < nearestD) {
+            nearestD = d;
+            nearest = c;
+          }
+        }
+        if (assign[i] !== nearest) changed = true;
+        assign[i] = nearest;
+      }
+
+      // Move centers to the weighted mean of their members
+      const groups = centers.map(() => []);
+      for (let i = 0; i < px.count; i++) groups[assign[i]].push(i);
+      const next = groups.map((g, c) => meanOf(px, g)?.lab || centers[c]);
+      centers = next;
+
+      if (!changed && it > 0) break;
+    }
+
+    const groups = centers.map(() => []);
+    for (let i = 0; i < px.count; i++) groups[assign[i]].push(i);
+    return groups.map((g) => meanOf(px, g)).filter(Boolean);
+  }
+
+  /**
+   * Turn clusters into swatches sorted by weight, with weights summing to 1
+   * @returns {Array<{rgb: number[], oklab: number[], weight: number}>}
+   */
+  function toSwatches(clusters) {
+    const total = clusters.reduce((sum, c) => sum + c.weight, 0) || 1;
+    return clusters
+      .map(({ lab, weight }) => ({
+        rgb: oklabToRgb(lab[0], lab[1], lab[2]),
+        oklab: lab,
+        weight: weight / total,
+      }))
+      .sort((a, b) => b.weight - a.weight);
+  }
+
+  // ==========================================================================
+  // ROLES
+  // ==========================================================================
+
+  /**
+   * Tag swatches with roles. Roles without a good candidate are synthesized
+   * from the dominant swatch, so all four are always present.
+   * @param {Array} swatches - Sorted swatches
+   * @returns {{vibrant: number[], muted: number[], dark: number[], light: number[]}}
+   */
+  function assignRoles(swatches) {
+    const lch = swatches.map((s) => ({ s, lch: oklabToOklch(...s.oklab) }));
+
+    const pick = (score) => {
+      let best = null;
+      let bestScore = 0;
+      lch.forEach((entry) => {
+        const v = score(entry.lch, entry.s.weight);
+        if (v > bestScore) {
+          bestScore = v;
+          best = entry.s;
+        }
+      });
+      return best?.rgb || null;
+    };
+
+    const [dl, dc, dh] = lch[0]?.lch || [0.6, 0.1, 250];
+
+    return {
+      vibrant:
+        pick(([L, C], w) => (C >= 0.08 && L >= 0.4 && L <= 0.82 ? w * C * (1 - Math.abs(L - 0.62)) : 0)) ||
+        oklchToRgb(0.65, Math.max(dc, 0.12), dh),
+      muted:
+        pick(([L, C], w) => (C >= 0.015 && C < 0.09 && L >= 0.35 && L <= 0.8 ? w * (1 - Math.abs(L - 0.58)) : 0)) ||
+        oklchToRgb(0.6, Math.min(dc, 0.05), dh),
+      dark:
+        pick(([L], w) => (L < 0.42 ? w * (1 - L) : 0)) ||
+        oklchToRgb(Math.min(dl, 0.28), dc * 0.7, dh),
+      light:
+        pick(([L], w) => (L > 0.78 ? w * L : 0)) ||
+        oklchToRgb(Math.max(dl, 0.9), dc * 0.4, dh),
+    };
+  }
+
+  // ==========================================================================
+  // EXTRACTION
+  // ==========================================================================
+
+  /**
+   * Original hue × saturation histogram, giving the classic c1/c2 pair.
+   * Near-white, near-black and desaturated pixels are ignored.
+   * @returns {{c1: number[], c2: number[]}|null} null when no pixel qualifies
+   */
+  function histogramColors(data) {
+    // Create 2D histogram bins (hue × saturation)
+    const H_BINS = 36; // 10° hue increments
+    const S_BINS = 5;  // 20% saturation increments
+    const SIZE = H_BINS * S_BINS;
+    const wSum = new Float32Array(SIZE); // Weighted pixel count
+    const rSum = new Float32Array(SIZE); // Weighted red sum
+    const gSum = new Float32Array(SIZE); // Weighted green sum
+    const bSum = new Float32Array(SIZE); // Weighted blue sum
+
+    // Analyze each pixel
+    for (let i = 0; i < data.length; i += 4) {
+      const a = data[i + 3] / 255;
+      if (a < 0.05) continue; // Skip transparent pixels
+
+      const r = data[i];
+      const g = data[i + 1];
+      const b = data[i + 2];
+      const [h, s, l] = rgbToHsl(r, g, b);
+
+      // Skip near-white, near-black, and desaturated colors
+      if (l < 0.1 || l > 0.92 || s < 0.08) continue;
+
+      // Weight by saturation and mid-tone preference
+      const w = a * (s * s) * (1 - Math.abs(l - 0.5) * 0.6);
+
+      // Calculate bin indices
+      const hi = Math.max(0, Math.min(H_BINS - 1, Math.floor((h / 360) * H_BINS)));
+      const si = Math.max(0, Math.min(S_BINS - 1, Math.floor(s * S_BINS)));
+      const bidx = hi * S_BINS + si;
+
+      // Accumulate weighted values
+      wSum[bidx] += w;
+      rSum[bidx] += r * w;
+      gSum[bidx] += g * w;
+      bSum[bidx] += b * w;
+    }
+
+    // Find primary color (bin with highest weight)
+    let pIdx = -1;
+    let pW = 0;
+    for (let i = 0; i < SIZE; i++) {
+      if (wSum[i] > pW) {
+        pW = wSum[i];
+        pIdx = i;
+      }
+    }
+
+    if (pIdx < 0 || pW <= 0) return null;
+
+    const pHue = Math.floor(pIdx / S_BINS) * (360 / H_BINS);
+
+    // Find secondary color (sufficiently different hue)
+    let sIdx = -1;
+    let sW = 0;
+    for (let i = 0; i < SIZE; i++) {
+      const w = wSum[i];
+      if (w <= 0) continue;
+
+      const h = Math.floor(i / S_BINS) * (360 / H_BINS);
+      if (hueDistance(h, pHue) >= 25 && w > sW) { // At least 25° different
+        sW = w;
+        sIdx = i;
+      }
+    }
+
+    // Calculate weighted average RGB for a bin
+    const avgRGB = (idx) => {
+      const w = wSum[idx] || 1e-6;
+      return [
+        Math.round(rSum[idx] / w),
+        Math.round(gSum[idx] / w),
+        Math.round(bSum[idx] / w)
+      ];
+    };
+
+    // Build primary color
+    const [pr, pg, pb] = avgRGB(pIdx);
+    let [h1, s1] = rgbToHsl(pr, pg, pb);
+    s1 = Math.max(0.45, Math.min(1, s1 * 1.15)); // Boost saturation
+    const c1 = hslToRgb(h1, s1, 0.5);
+
+    // Build secondary color
+    let c2;
+    if (sIdx >= 0 && sW >= pW * 0.6) {
+      // Use distinct secondary color
+      const [sr, sg, sb] = avgRGB(sIdx);
+      let [h2, s2] = rgbToHsl(sr, sg, sb);
+      s2 = Math.max(0.45, Math.min(1, s2 * 1.05));
+      c2 = hslToRgb(h2, s2, 0.72);
+    } else {
+      // Use lighter version of primary
+      c2 = hslToRgb(h1, s1, 0.72);
+    }
+
+    return { c1, c2 };
+  }
+
+  /**
+   * Gradient pair from OKLab swatches: the vibrant color at mid lightness,
+   * plus a distinct hue (or a lighter primary) for the second gradient
+   */
+  function gradientPair(swatches, roles) {
+    const [, , vh] = oklabToOklch(...rgbToOklab(...roles.vibrant));
+    const vibrant = swatches.find((s) => s.rgb === roles.vibrant);
+    const [, vc] = oklabToOklch(...rgbToOklab(...roles.vibrant));
+    const c1 = oklchToRgb(0.62, Math.max(0.1, Math.min(0.22, vc * 1.1)), vh);
+
+    const minWeight = (vibrant?.weight || swatches[0]?.weight || 0) * 0.5;
+    const second = swatches
+      .map((s) => ({ s, lch: oklabToOklch(...s.oklab) }))
+      .find(({ s, lch }) => s !== vibrant && lch[1] >= 0.04 && s.weight >= minWeight && hueDistance(lch[2], vh) >= 25);
+
+    const c2 = second
+      ? oklchToRgb(0.82, Math.max(0.06, Math.min(0.14, second.lch[1])), second.lch[2])
+      : oklchToRgb(0.82, Math.max(0.05, vc * 0.7), vh);
+
+    return { c1, c2 };
+  }
+
+  /**
+   * Neutral gradient pair for grayscale images: a soft mid tone and a light
+   * tone, keeping only a whisper of the image's average tint
+   */
+  function neutralPair(px) {
+    let w = 0;
+    let l = 0;
+    let a = 0;
+    let b = 0;
+    for (let i = 0; i < px.count; i++) {
+      w += px.W[i];
+      l += px.L[i] * px.W[i];
+      a += px.A[i] * px.W[i];
+      b += px.B[i] * px.W[i];
+    }
+    w = w || 1;
+
+    const [, tint, hue] = oklabToOklch(l / w, a / w, b / w);
+    const chroma = Math.min(tint, 0.015);
+    return {
+      c1: oklchToRgb(Math.max(0.5, Math.min(0.66, l / w)), chroma, hue),
+      c2: oklchToRgb(0.88, chroma * 0.6, hue),
+    };
+  }
+
+  /**
+   * Extract a palette from RGBA pixels
+   * @param {Uint8ClampedArray|Uint8Array} data - RGBA pixels (ideally SAMPLE_SIZE-downscaled)
+   * @param {Object} [opts]
+   * @param {string} [opts.method='histogram'] - 'histogram', 'median-cut' or 'kmeans'
+   * @param {number} [opts.size=5] - Number of swatches
+   * @returns {{c1: number[], c2: number[], swatches: Array, roles: Object, grayscale: boolean, method: string}|null}
+   *   null when the image has no usable pixels
+   */
+  function extractPalette(data, { method = 'histogram', size = 5 } = {}) {
+    if (!METHODS.includes(method)) {
+      throw new TypeError(`GradientPalette: unknown method "${method}"`);
+    }
+
+    const px = toSamples(data);
+    if (!px.count) return null;
+
+    const grayscale = px.chromaShare < GRAYSCALE_SHARE;
+    const clustered = method === 'kmeans' ? kMeans(px, size) : medianCut(px, size);
+    const swatches = toSwatches(clustered);
+    const roles = assignRoles(swatches);
+
+    let pair;
+    if (grayscale) {
+      pair = neutralPair(px);
+    } else if (method === 'histogram') {
+      // Keep the classic gradient pair; swatches and roles still come from OKLab
+      pair = histogramColors(data) || gradientPair(swatches, roles);
+    } else {
+      pair = gradientPair(swatches, roles);
+    }
+
+    return { ...pair, swatches, roles, grayscale, method };
+  }
+
+  /**
+   * Palette built from two colors, with swatches and roles filled in
+   * @param {number[]} c1
+   * @param {number[]} c2
+   * @returns {Object} Same shape as extractPalette()
+   */
+  function paletteFromColors(c1, c2) {
+    const swatches = [c1, c2].map((rgb, i) => ({
+      rgb,
+      oklab: rgbToOklab(...rgb),
+      weight: i === 0 ? 0.6 : 0.4,
+    }));
+    return { c1, c2, swatches, roles: assignRoles(swatches), grayscale: false, method: 'fallback' };
+  }
+
+  /**
+   * Generate fallback colors when extraction fails
+   * @param {number} idx - Card index
+   * @returns {Object} Same shape as extractPalette()
+   */
+  function fallbackFromIndex(idx) {
+    const h = (idx * 37) % 360; // Spread hues across spectrum
+    const s = 0.65;
+    return paletteFromColors(hslToRgb(h, s, 0.52), hslToRgb(h, s, 0.72));
+  }
+
+  // ==========================================================================
+  // MANIFEST
+  // ==========================================================================
+
+  /**
+   * Round an RGB color to integers for compact JSON
+   * @param {number[]} rgb
+   * @returns {number[]}
+   */
+  function roundRgb(rgb) {
+    return rgb.map((v) => Math.round(v));
+  }
+
+  /**
+   * Manifest entry for one image. OKLab values are dropped; they are derived
+   * again when the entry is read.
+   * @param {string} src - Image URL, relative to the manifest
+   * @param {Object} palette - Result of extractPalette()
+   * @returns {{src: string, colors: number[][], swatches: Array, roles: Object, grayscale: boolean, method: string}}
+   */
+  function toManifestEntry(src, palette) {
+    const roles = {};
+    for (const [role, rgb] of Object.entries(palette.roles)) roles[role] = roundRgb(rgb);
+
+    return {
+      src,
+      colors: [roundRgb(palette.c1), roundRgb(palette.c2)],
+      swatches: palette.swatches.map(({ rgb, weight }) => ({
+        rgb: roundRgb(rgb),
+        weight: Math.round(weight * 1000) / 1000,
+      })),
+      roles,
+      grayscale: palette.grayscale,
+      method: palette.method,
+    };
+  }
+
+  /**
+   * Build a palette manifest
+   * @param {Array} entries - Results of toManifestEntry()
+   * @param {Object} [opts] - `{ method, size }` the palettes were extracted with
+   * @returns {{version: number, paletteVersion: number, method: string, size: number, images: Array}}
+   */
+  function toManifest(entries, { method = 'histogram', size = 5 } = {}) {
+    return { version: MANIFEST_VERSION, paletteVersion: VERSION, method, size, images: entries };
+  }
+
+  /**
+   * Palette from a manifest entry. Only `colors` is required; missing
+   * swatches and roles are derived from it.
+   * @param {{colors: number[][], swatches?: Array, roles?: Object, grayscale?: boolean, method?: string}} entry
+   * @returns {Object|null} Same shape as extractPalette(), null for malformed entries
+   */
+  function fromManifestEntry(entry) {
+    const colors = entry?.colors;
+    const isRgb = (c) => Array.isArray(c) && c.length >= 3 && c.slice(0, 3).every(Number.isFinite);
+    if (!Array.isArray(colors) || !colors.length || !colors.every(isRgb)) return null;
+
+    const c1 = colors[0].slice(0, 3);
+    const c2 = (colors[1] || colors[0]).slice(0, 3);
+    const base = paletteFromColors(c1, c2);
+
+    const swatches = Array.isArray(entry.swatches) && entry.swatches.every((sw) => isRgb(sw?.rgb))
+      ? entry.swatches.map(({ rgb, weight }) => ({
+        rgb: rgb.slice(0, 3),
+        oklab: rgbToOklab(...rgb),
+        weight: Number.isFinite(weight) ? weight : 0,
+      }))
+      : base.swatches;
+
+    const roles = entry.roles && ['vibrant', 'muted', 'dark', 'light'].every((r) => isRgb(entry.roles[r]))
+      ? entry.roles
+      : assignRoles(swatches);
+
+    return {
+      c1,
+      c2,
+      swatches,
+      roles,
+      grayscale: Boolean(entry.grayscale),
+      method: entry.method || 'manifest',
+    };
+  }
+
+  return {
+    VERSION,
+    MANIFEST_VERSION,
+    SAMPLE_SIZE,
+    METHODS,
+    MIX_SPACES,
+    rgbToHsl,
+    hslToRgb,
+    rgbToOklab,
+    oklabToRgb,
+    oklabToOklch,
+    oklchToRgb,
+    relativeLuminance,
+    contrastRatio,
+    mixColors,
+    sampleSize,
+    extractPalette,
+    paletteFromColors,
+    fallbackFromIndex,
+    toManifestEntry,
+    toManifest,
+    fromManifestEntry,
+  };
+});
@@ -2,6 +2,12 @@
   Infinite Gradient 3D Carousel
   A smooth, infinite-scrolling 3D carousel with dynamic gradient backgrounds
   that change based on the active card's colors.
+
+  Usage:
+    const carousel = new GradientCarousel(document.querySelector('.stage'));
+    await carousel.ready;
+    // ...later, e.g. on route change
+    carousel.destroy();
 */
 
 // ============================================================================
@@ -21,67 +27,215 @@ const IMAGES = [
   './img/img10.webp',
 ];
 
-// Physics constants
-const FRICTION = 0.9;           // Velocity decay (0-1, lower = more friction)
-const WHEEL_SENS = 0.6;         // Mouse wheel sensitivity
-const DRAG_SENS = 1.0;          // Drag sensitivity
+/**
+ * Default carousel options. Every key can be overridden through the
+ * constructor or changed later with `carousel.setOptions()`.
+ */
+const DEFAULTS = Object.freeze({
+  images: IMAGES,               // Image URLs, one per card (shorthand for `slides`)
+  slides: null,                 // Slide objects or URLs; takes precedence over `images`
+  renderSlide: null,            // (slide, index) => Element | string, custom card content
+
+  // Virtualization
+  virtualize: false,            // Keep only cards near the viewport in the DOM; true, false or 'auto'
+  virtualBuffer: 2,             // Extra cards kept mounted beyond each viewport edge
+  lookahead: 3,                 // Cards past the mounted ones whose images are prefetched
+
+  // Layout
+  layout: 'horizontal',         // 'horizontal', 'vertical', 'ring', a registered name or a layout object
+  effect: 'tilt',               // Card look: 'tilt', 'coverflow', 'stack', 'fan', 'flat' or an effect function
+  effectOptions: {},            // Overrides for the effect's own defaults
+
+  // Physics
+  friction: 0.9,                // Velocity decay per frame (0-1, lower = more friction)
+  wheelSensitivity: 0.6,        // Mouse wheel sensitivity
+  wheelCapture: 'always',       // 'always', 'axis' (only wheel motion along the layout axis) or 'focus'
+  maxVelocity: 6000,            // Cap on wheel and drag momentum in px/s
+  dragSensitivity: 1.0,         // Drag sensitivity
+
+  // Visuals
+  maxRotation: 28,              // Maximum card rotation in degrees
+  maxDepth: 140,                // Maximum Z-axis depth in pixels
+  minScale: 0.92,               // Minimum card scale
+  scaleRange: 0.1,              // Scale variation range
+  gap: 28,                      // Gap between cards in pixels
+
+  // Snapping
+  scrollMode: 'free',           // 'free' momentum or 'snap' onto the nearest card
+  snapThreshold: 120,           // Velocity (px/s) below which snapping engages
+  snapStiffness: 180,           // Spring stiffness pulling toward the target card
+  snapDamping: 24,              // Spring damping (≈ 2·√stiffness is critical)
+  flickStrength: 0.25,          // Seconds of release velocity projected for flicks (0 = off)
+  maxFlickCards: 3,             // Maximum cards a single flick can advance
+
+  // Accessibility
+  label: null,                  // Accessible name for the carousel (keeps an existing aria-label)
+  keyboard: true,               // Arrow/Home/End/PageUp/PageDown navigation
+  lightbox: true,               // Expand the centered card into a zoomable fullscreen view on click
+  pageSize: 3,                  // Cards skipped by PageUp/PageDown
+  reducedMotion: 'auto',        // 'auto' follows prefers-reduced-motion; true/false forces it
+
+  // Deep linking
+  deepLink: false,              // Reflect the active slide in the URL: false, 'hash' or 'query'
+  deepLinkParam: 'slide',       // Name of the hash or query parameter
+
+  // Autoplay
+  autoplay: false,              // Advance automatically
+  autoplayMode: 'step',         // 'step' to the next card, or 'continuous' constant drift
+  autoplayDirection: 'forward', // 'forward' or 'backward'
+  autoplayInterval: 4,          // Seconds per card in step mode
+  autoplaySpeed: 40,            // Pixels per second in continuous mode
+  autoplayResumeDelay: 3,       // Idle seconds after an interaction before resuming
+  pauseOnHover: true,           // Pause while a mouse hovers the carousel
+  pauseOnFocus: true,           // Pause while focus is inside the carousel
+
+  // Background
+  background: 'radial-duo',     // Registered renderer name or a draw(ctx, frame) function
+  backgroundOptions: {},        // Overrides for the renderer's own defaults
+  gradientDuration: 0.45,       // Seconds to blend to the next card's colors
+  gradientInterpolation: 'oklch', // 'oklch', 'oklab' or 'srgb'
+
+  // Performance
+  adaptiveQuality: true,        // Lower rendering quality when frames run over budget
+  frameBudget: 20,              // Frame time in ms above which quality is lowered
+  theme: true,                  // Publish the palette as --gc-* CSS custom properties on the root
+
+  // Palette extraction
+  paletteMethod: 'histogram',   // 'histogram', 'median-cut' or 'kmeans' (OKLab)
+  paletteSize: 5,               // Number of swatches per image
+  paletteWorker: true,          // Extract in a Web Worker; true, false or the worker script URL
+  paletteCache: true,           // Cache palettes in IndexedDB across visits
+  paletteManifest: null,        // Precomputed palettes: manifest URL or object, see tools/
+});
 
-// Visual constants
-const MAX_ROTATION = 28;        // Maximum card rotation in degrees
-const MAX_DEPTH = 140;          // Maximum Z-axis depth in pixels
-const MIN_SCALE = 0.92;         // Minimum card scale
-const SCALE_RANGE = 0.1;        // Scale variation range
-const GAP = 28;                 // Gap between cards in pixels
+/**
+ * Validation rules for numeric options.
+ * `min`/`max` are inclusive unless flagged as exclusive.
+ */
+const NUMERIC_RULES = {
+  friction: { min: 0, max: 1, minExclusive: true, maxExclusive: true },
+  wheelSensitivity: { min: 0 },
+  maxVelocity: { min: 0, minExclusive: true },
+  dragSensitivity: { min: 0 },
+  maxRotation: { min: 0, max: 90 },
+  maxDepth: { min: 0 },
+  minScale: { min: 0, minExclusive: true },
+  scaleRange: { min: 0 },
+  gap: { min: 0 },
+  snapThreshold: { min: 0 },
+  snapStiffness: { min: 0, minExclusive: true },
+  snapDamping: { min: 0 },
+  flickStrength: { min: 0 },
+  maxFlickCards: { min: 0, integer: true },
+  pageSize: { min: 1, integer: true },
+  autoplayInterval: { min: 0, minExclusive: true },
+  autoplaySpeed: { min: 0 },
+  autoplayResumeDelay: { min: 0 },
+  paletteSize: { min: 2, max: 16, integer: true },
+  virtualBuffer: { min: 0, integer: true },
+  lookahead: { min: 0, integer: true },
+  gradientDuration: { min: 0 },
+  frameBudget: { min: 0, minExclusive: true },
+};
 
-// ============================================================================
-// DOM REFERENCES
-// ============================================================================
+/**
+ * Allowed values for string options
+ */
+const ENUM_RULES = {
+  scrollMode: ['free', 'snap'],
+  deepLink: [false, 'hash', 'query'],
+  wheelCapture: ['always', 'axis', 'focus'],
+  virtualize: [true, false, 'auto'],
+  reducedMotion: ['auto', true, false],
+  autoplay: [true, false],
+  autoplayMode: ['step', 'continuous'],
+  autoplayDirection: ['forward', 'backward'],
+  pauseOnHover: [true, false],
+  pauseOnFocus: [true, false],
+  paletteMethod: ['histogram', 'median-cut', 'kmeans'],
+  paletteCache: [true, false],
+  theme: [true, false],
+  gradientInterpolation: ['oklch', 'oklab', 'srgb'],
+  adaptiveQuality: [true, false],
+};
 
-const stage = document.querySelector('.stage');
-const cardsRoot = document.getElementById('cards');
-const bgCanvas = document.getElementById('bg');
-const bgCtx = bgCanvas?.getContext('2d', { alpha: false });
-const loader = document.getElementById('loader');
+// Options that change card geometry and require a re-measure
+const LAYOUT_OPTIONS = ['gap', 'layout'];
 
-// ============================================================================
-// STATE MANAGEMENT
-// ============================================================================
+// Options that change color extraction and require the palette to be rebuilt
+const PALETTE_OPTIONS = ['paletteMethod', 'paletteSize', 'paletteManifest'];
 
-// Carousel state
-let items = [];                 // Array of {el: HTMLElement, x: number}
-let positions = [];             // Float32Array for wrapped positions
-let activeIndex = -1;           // Currently centered card index
-let isEntering = true;          // Prevents interaction during entry animation
-
-// Layout measurements
-let CARD_W = 300;               // Card width (measured dynamically)
-let CARD_H = 400;               // Card height (measured dynamically)
-let STEP = CARD_W + GAP;        // Distance between card centers
-let TRACK = 0;                  // Total carousel track length
-let SCROLL_X = 0;               // Current scroll position
-let VW_HALF = window.innerWidth * 0.5;
-
-// Physics state
-let vX = 0;                     // Velocity in X direction
-
-// Animation frame IDs
-let rafId = null;               // Carousel animation frame
-let bgRAF = null;               // Background animation frame
-let lastTime = 0;               // Last frame timestamp
-let lastBgDraw = 0;             // Last background draw time
-
-// Background gradient state
-let gradPalette = [];           // Extracted colors from each image
-let gradCurrent = {             // Current interpolated gradient colors
-  r1: 240, g1: 240, b1: 240,    // First gradient color (RGB)
-  r2: 235, g2: 235, b2: 235     // Second gradient color (RGB)
-};
-let bgFastUntil = 0;            // Timestamp until which to render at high FPS
+// Location of this script, used to find palette-worker.js next to it
+const SCRIPT_URL = document.currentScript?.src || location.href;
+
+// Options that change card content and require the cards to be rebuilt
+const CONTENT_OPTIONS = ['images', 'slides', 'renderSlide', 'virtualize'];
+
+// Slide count from which `virtualize: 'auto'` turns virtualization on
+const VIRTUALIZE_AUTO = 50;
+
+// Attribute a custom template can put on the <img> used for color sampling
+const IMAGE_ATTR = 'data-carousel-image';
+
+// Focusable descendants that must leave the tab order on inactive slides
+const FOCUSABLE = 'a[href], button, input, select, textarea, [tabindex]';
+
+// Delay before the active slide is announced, so fast scrolling stays quiet
+const ANNOUNCE_DELAY = 300;
+
+// Background base color painted under the gradients
+const BG_BASE = '#f6f7f9';
+const BG_BASE_RGB = BG_BASE.match(/\w\w/g).map((hex) => parseInt(hex, 16));
+
+// Text colors --gc-on-bg picks from (dark matches --fg in styles.css)
+const ON_BG_DARK = [11, 11, 11];
+const ON_BG_LIGHT = [255, 255, 255];
+
+// Adaptive quality: 1 = background at DPR 1, 2 = no card blur, 3 = half-rate background
+const MAX_QUALITY_LEVEL = 3;
+
+// Adaptive quality: ms of slow frames before degrading, of fast frames before recovering
+const DEGRADE_AFTER = 1000;
+const RECOVER_AFTER = 4000;
+
+// Gestures: px a pointer must travel before its axis decides drag or page
+// scroll, and the ms of recent movement that release velocity is averaged over
+const DRAG_THRESHOLD = 6;
+const VELOCITY_WINDOW = 100;
+
+// Wheel: px per line for DOM_DELTA_LINE, pixel deltas from this size up that
+// count as mouse wheel notches rather than trackpad movement, ms without
+// events that ends a wheel gesture, and consecutive shrinking trackpad
+// deltas that mark the OS's inertia after the fingers lifted
+const WHEEL_LINE_HEIGHT = 16;
+const WHEEL_NOTCH = 50;
+const WHEEL_GAP = 120;
+const INERTIA_SAMPLES = 3;
+
+// Lightbox: px kept free around the image, maximum zoom, open/close seconds
+const LIGHTBOX_MARGIN = 32;
+const LIGHTBOX_MAX_ZOOM = 4;
+const LIGHTBOX_DURATION = 0.45;
+
+// Theming: ms between background samples, and the sample grid size
+const THEME_INTERVAL = 250;
+const THEME_GRID = 4;
 
 // ============================================================================
 // UTILITY FUNCTIONS
 // ============================================================================
 
+/**
+ * Wheel deltas in pixels, whatever unit the browser reported them in
+ * @param {WheelEvent} e
+ * @param {number} page - Pixels per page, for DOM_DELTA_PAGE
+ * @returns {{x: number, y: number}}
+ */
+function wheelPixels(e, page) {
+  const scale = e.deltaMode === 1 ? WHEEL_LINE_HEIGHT : e.deltaMode === 2 ? page : 1;
+  return { x: e.deltaX * scale, y: e.deltaY * scale };
+}
+
 /**
  * Safe modulo operation that handles negative numbers correctly
  * @param {number} n - The dividend
@@ -92,881 +246,4210 @@ function mod(n, m) {
   return ((n % m) + m) % m;
 }
 
-// ============================================================================
-// IMAGE PRELOADING
-// ============================================================================
-
 /**
- * Preload images using link tags for browser optimization
- * @param {string[]} srcs - Array of image URLs
+ * Resolve on the next animation frame
+ * @returns {Promise<number>}
  */
-function preloadImageLinks(srcs) {
-  if (!document.head) return;
-  
-  srcs.forEach((href) => {
-    const link = document.createElement('link');
-    link.rel = 'preload';
-    link.as = 'image';
-    link.href = href;
-    link.fetchPriority = 'high';
-    document.head.appendChild(link);
-  });
+function nextFrame() {
+  return new Promise((r) => requestAnimationFrame(r));
 }
 
 /**
- * Wait for all card images to finish loading
- * @returns {Promise<void>}
+ * Named easing functions for programmatic navigation (t in [0, 1])
  */
-function waitForImages() {
-  const promises = items.map((it) => {
-    const img = it.el.querySelector('img');
-    if (!img || img.complete) return Promise.resolve();
-
-    return new Promise((resolve) => {
-      const done = () => resolve();
-      img.addEventListener('load', done, { once: true });
-      img.addEventListener('error', done, { once: true });
-    });
-  });
-
-  return Promise.all(promises);
-}
+const EASINGS = {
+  linear: (t) => t,
+  easeInOutCubic: (t) => (t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2),
+  easeOutCubic: (t) => 1 - Math.pow(1 - t, 3),
+  easeOutQuart: (t) => 1 - Math.pow(1 - t, 4),
+  easeOutExpo: (t) => (t >= 1 ? 1 : 1 - Math.pow(2, -10 * t)),
+};
 
 /**
- * Decode all images to prevent jank during first interaction
- * @returns {Promise<void>}
+ * Validate a (partial) options object and throw a descriptive error on the
+ * first invalid value
+ * @param {Object} opts - Options to check
+ * @throws {TypeError|RangeError}
  */
-async function decodeAllImages() {
-  const tasks = items.map((it) => {
-    const img = it.el.querySelector('img');
-    if (!img) return Promise.resolve();
+function validateOptions(opts) {
+  Object.keys(opts).forEach((key) => {
+    if (!(key in DEFAULTS)) {
+      throw new TypeError(`GradientCarousel: unknown option "${key}"`);
+    }
+  });
+
+  if ('images' in opts) {
+    const { images } = opts;
+    if (!Array.isArray(images) || images.length === 0) {
+      throw new TypeError('GradientCarousel: "images" must be a non-empty array of URLs');
+    }
+    images.forEach((src, i) => {
+      if (typeof src !== 'string' || !src) {
+        throw new TypeError(`GradientCarousel: "images[${i}]" must be a non-empty string`);
+      }
+    });
+  }
 
-    if (typeof img.decode === 'function') {
-      return img.decode().catch(() => {});
+  if ('slides' in opts && opts.slides !== null) {
+    const { slides } = opts;
+    if (!Array.isArray(slides) || slides.length === 0) {
+      throw new TypeError('GradientCarousel: "slides" must be a non-empty array');
     }
+    slides.forEach((slide, i) => {
+      const src = typeof slide === 'string' ? slide : slide?.src;
+      if (typeof src !== 'string' || !src) {
+        throw new TypeError(`GradientCarousel: "slides[${i}]" must be a URL or an object with a "src" string`);
+      }
+    });
+  }
 
-    return Promise.resolve();
-  });
+  if ('deepLinkParam' in opts && (typeof opts.deepLinkParam !== 'string' || !opts.deepLinkParam)) {
+    throw new TypeError('GradientCarousel: "deepLinkParam" must be a non-empty string');
+  }
 
-  await Promise.allSettled(tasks);
-}
+  if ('label' in opts && opts.label !== null && typeof opts.label !== 'string') {
+    throw new TypeError('GradientCarousel: "label" must be a string or null');
+  }
 
-// ============================================================================
-// CAROUSEL SETUP
-// ============================================================================
+  if ('keyboard' in opts && typeof opts.keyboard !== 'boolean') {
+    throw new TypeError('GradientCarousel: "keyboard" must be a boolean');
+  }
 
-/**
- * Create card DOM elements from image array
- */
-function createCards() {
-  cardsRoot.innerHTML = '';
-  items = [];
+  if ('lightbox' in opts && typeof opts.lightbox !== 'boolean') {
+    throw new TypeError('GradientCarousel: "lightbox" must be a boolean');
+  }
 
-  const fragment = document.createDocumentFragment();
+  if ('background' in opts) {
+    const { background } = opts;
+    if (typeof background === 'string') {
+      if (!RENDERERS.has(background)) {
+        const names = [...RENDERERS.keys()].map((n) => `"${n}"`).join(', ');
+        throw new TypeError(`GradientCarousel: unknown background "${background}", registered: ${names}`);
+      }
+    } else if (typeof background !== 'function') {
+      throw new TypeError('GradientCarousel: "background" must be a renderer name or a function');
+    }
+  }
 
-  IMAGES.forEach((src, i) => {
-    const card = document.createElement('article');
-    card.className = 'card';
-    card.style.willChange = 'transform'; // Force GPU compositing
+  if ('layout' in opts) {
+    const { layout } = opts;
+    if (typeof layout === 'string') {
+      if (!LAYOUTS.has(layout)) {
+        const names = [...LAYOUTS.keys()].map((n) => `"${n}"`).join(', ');
+        throw new TypeError(`GradientCarousel: unknown layout "${layout}", registered: ${names}`);
+      }
+    } else {
+      checkLayout('layout', layout);
+    }
+  }
 
-    const img = new Image();
-    img.className = 'card__img';
-    img.decoding = 'async';
-    img.loading = 'eager';
-    img.fetchPriority = 'high';
-    img.draggable = false;
-    img.src = src;
-
-    card.appendChild(img);
-    fragment.appendChild(card);
-    items.push({ el: card, x: i * STEP });
-  });
+  if ('effect' in opts) {
+    const { effect } = opts;
+    if (typeof effect === 'string') {
+      if (!EFFECTS.has(effect)) {
+        const names = [...EFFECTS.keys()].map((n) => `"${n}"`).join(', ');
+        throw new TypeError(`GradientCarousel: unknown effect "${effect}", registered: ${names}`);
+      }
+    } else if (typeof effect !== 'function') {
+      throw new TypeError('GradientCarousel: "effect" must be an effect name or a function');
+    }
+  }
 
-  cardsRoot.appendChild(fragment);
-}
+  if ('effectOptions' in opts) {
+    const value = opts.effectOptions;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new TypeError('GradientCarousel: "effectOptions" must be an object');
+    }
+  }
 
-/**
- * Measure card dimensions and calculate layout
- */
-function measure() {
-  const sample = items[0]?.el;
-  if (!sample) return;
+  if ('backgroundOptions' in opts) {
+    const value = opts.backgroundOptions;
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+      throw new TypeError('GradientCarousel: "backgroundOptions" must be an object');
+    }
+  }
 
-  const r = sample.getBoundingClientRect();
-  CARD_W = r.width || CARD_W;
-  CARD_H = r.height || CARD_H;
-  STEP = CARD_W + GAP;
-  TRACK = items.length * STEP;
+  if ('paletteWorker' in opts) {
+    const value = opts.paletteWorker;
+    if (typeof value !== 'boolean' && (typeof value !== 'string' || !value)) {
+      throw new TypeError('GradientCarousel: "paletteWorker" must be a boolean or a worker script URL');
+    }
+  }
 
-  // Set initial positions
-  items.forEach((it, i) => {
-    it.x = i * STEP;
-  });
+  if ('paletteManifest' in opts) {
+    const value = opts.paletteManifest;
+    if (value !== null && typeof value !== 'object' && (typeof value !== 'string' || !value)) {
+      throw new TypeError('GradientCarousel: "paletteManifest" must be a URL, a manifest object or null');
+    }
+  }
 
-  positions = new Float32Array(items.length);
-}
+  if ('renderSlide' in opts && opts.renderSlide !== null && typeof opts.renderSlide !== 'function') {
+    throw new TypeError('GradientCarousel: "renderSlide" must be a function or null');
+  }
 
-// ============================================================================
-// TRANSFORM CALCULATIONS
-// ============================================================================
+  Object.entries(ENUM_RULES).forEach(([key, allowed]) => {
+    if (key in opts && !allowed.includes(opts[key])) {
+      const list = allowed.map((v) => JSON.stringify(v)).join(', ');
+      throw new TypeError(`GradientCarousel: "${key}" must be one of ${list}, got ${JSON.stringify(opts[key])}`);
+    }
+  });
 
-function computeTransformComponents(screenX) {
-  const norm = Math.max(-1, Math.min(1, screenX / VW_HALF));
-  const absNorm = Math.abs(norm);
-  const invNorm = 1 - absNorm;
+  Object.entries(NUMERIC_RULES).forEach(([key, rule]) => {
+    if (!(key in opts)) return;
+    const value = opts[key];
 
-  const ry = -norm * MAX_ROTATION;
-  const tz = invNorm * MAX_DEPTH;
-  const scale = MIN_SCALE + invNorm * SCALE_RANGE;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      throw new TypeError(`GradientCarousel: "${key}" must be a finite number, got ${value}`);
+    }
+    if (rule.integer && !Number.isInteger(value)) {
+      throw new TypeError(`GradientCarousel: "${key}" must be an integer, got ${value}`);
+    }
 
-  return { norm, absNorm, invNorm, ry, tz, scale };
+    const belowMin = rule.min !== undefined && (rule.minExclusive ? value <= rule.min : value < rule.min);
+    const aboveMax = rule.max !== undefined && (rule.maxExclusive ? value >= rule.max : value > rule.max);
+    if (belowMin || aboveMax) {
+      const lo = rule.min === undefined ? '-∞' : rule.min;
+      const hi = rule.max === undefined ? '∞' : rule.max;
+      const range = `${rule.minExclusive ? '(' : '['}${lo}, ${hi}${rule.maxExclusive ? ')' : ']'}`;
+      throw new RangeError(`GradientCarousel: "${key}" must be in ${range}, got ${value}`);
+    }
+  });
 }
 
-
 /**
- * Calculate 3D transform for a card based on its screen position
- * @param {number} screenX - Card's X position relative to viewport center
- * @returns {{transform: string, z: number}} Transform string and Z-depth
+ * Normalize a slide definition into a full slide object
+ * @param {string|Object} slide - Image URL or slide object
+ * @returns {{id: string, src: string, srcset: string, sizes: string, fullSrc: string, alt: string, title: string, subtitle: string, href: string, meta: Object}}
  */
-function transformForScreenX(screenX) {
-  const { ry, tz, scale } = computeTransformComponents(screenX);
-
+function normalizeSlide(slide) {
+  const data = typeof slide === 'string' ? { src: slide } : slide;
   return {
-    transform: `translate3d(${screenX}px,-50%,${tz}px) rotateY(${ry}deg) scale(${scale})`,
-    z: tz,
+    id: data.id != null ? String(data.id) : '',
+    src: data.src,
+    srcset: data.srcset || '',
+    sizes: data.sizes || '',
+    fullSrc: data.fullSrc || '',
+    alt: data.alt ?? data.title ?? '',
+    title: data.title || '',
+    subtitle: data.subtitle || '',
+    href: data.href || '',
+    meta: data.meta || {},
   };
 }
 
 /**
- * Update all card transforms based on current scroll position
+ * Find the image of a card that drives its colors. Custom templates can mark
+ * it with `data-carousel-image`; otherwise the first `.card__img` or `<img>`.
+ * @param {HTMLElement} card - Card element
+ * @returns {HTMLImageElement|null}
  */
-function updateCarouselTransforms() {
-  const half = TRACK / 2;
-  let closestIdx = -1;
-  let closestDist = Infinity;
-
-  // Calculate wrapped positions for infinite scroll
-  for (let i = 0; i < items.length; i++) {
-    let pos = items[i].x - SCROLL_X;
-    
-    // Wrap position to nearest equivalent position
-    if (pos < -half) pos += TRACK;
-    if (pos > half) pos -= TRACK;
-    
-    positions[i] = pos;
-
-    // Track closest card to center
-    const dist = Math.abs(pos);
-    if (dist < closestDist) {
-      closestDist = dist;
-      closestIdx = i;
-    }
-  }
-
-  // Get adjacent cards for selective blur
-  const prevIdx = (closestIdx - 1 + items.length) % items.length;
-  const nextIdx = (closestIdx + 1) % items.length;
-
-  // Apply transforms to all cards
-  for (let i = 0; i < items.length; i++) {
-    const it = items[i];
-    const pos = positions[i];
-    const norm = Math.max(-1, Math.min(1, pos / VW_HALF));
-    const { transform, z } = transformForScreenX(pos);
-
-    it.el.style.transform = transform;
-    it.el.style.zIndex = String(1000 + Math.round(z)); // Higher z-index for cards in front
-
-    // Apply subtle blur to non-core cards
-    const isCore = i === closestIdx || i === prevIdx || i === nextIdx;
-    const blur = isCore ? 0 : 2 * Math.pow(Math.abs(norm), 1.1);
-    it.el.style.filter = `blur(${blur.toFixed(2)}px)`;
-  }
-
-  // Update gradient if active card changed
-  if (closestIdx !== activeIndex) {
-    setActiveGradient(closestIdx);
-  }
+function cardImage(card) {
+  return (
+    card.querySelector(`img[${IMAGE_ATTR}]`) ||
+    card.querySelector('img.card__img') ||
+    card.querySelector('img')
+  );
 }
 
-// ============================================================================
-// ANIMATION LOOP
-// ============================================================================
-
 /**
- * Main animation loop for carousel movement
- * @param {number} t - Current timestamp
+ * Wait for a single image to finish loading (or failing)
+ * @param {HTMLImageElement|null} img
+ * @returns {Promise<void>}
  */
-function tick(t) {
-  const dt = lastTime ? (t - lastTime) / 1000 : 0;
-  lastTime = t;
+function waitForImage(img) {
+  if (!img || img.complete) return Promise.resolve();
 
-  // Apply velocity to scroll position
-  SCROLL_X = mod(SCROLL_X + vX * dt, TRACK);
+  return new Promise((resolve) => {
+    const done = () => resolve();
+    img.addEventListener('load', done, { once: true });
+    img.addEventListener('error', done, { once: true });
+  });
+}
 
-  // Apply friction to velocity
-  const decay = Math.pow(FRICTION, dt * 60);
-  vX *= decay;
-  if (Math.abs(vX) < 0.02) vX = 0;
+// ============================================================================
+// COLOR EXTRACTION
+// ============================================================================
 
-  updateCarouselTransforms();
-  rafId = requestAnimationFrame(tick);
-}
+// Shared extraction algorithm, see palette.js
+const {
+  contrastRatio,
+  extractPalette,
+  fallbackFromIndex,
+  fromManifestEntry,
+  mixColors,
+  sampleSize,
+  VERSION: PALETTE_VERSION,
+} = window.GradientPalette;
 
 /**
- * Start the carousel animation loop
+ * Format an RGB array as a CSS color
+ * @param {number[]} rgb - [red, green, blue] (0-255)
+ * @returns {string} e.g. 'rgb(12 34 56)'
  */
-function startCarousel() {
-  cancelCarousel();
-  lastTime = 0;
-  rafId = requestAnimationFrame((t) => {
-    updateCarouselTransforms();
-    tick(t);
-  });
+function rgbCss(rgb) {
+  return `rgb(${rgb.map(Math.round).join(' ')})`;
 }
 
 /**
- * Stop the carousel animation loop
+ * Read the downscaled pixels of an image
+ * @param {HTMLImageElement} img - Loaded image
+ * @returns {Uint8ClampedArray} RGBA data
+ * @throws {DOMException} For cross-origin images served without CORS
  */
-function cancelCarousel() {
-  if (rafId) cancelAnimationFrame(rafId);
-  rafId = null;
+function readPixels(img) {
+  // Downscale image for faster processing
+  const { width: tw, height: th } = sampleSize(img.naturalWidth, img.naturalHeight);
+
+  // Draw image to temporary canvas
+  const canvas = document.createElement('canvas');
+  canvas.width = tw;
+  canvas.height = th;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+  ctx.drawImage(img, 0, 0, tw, th);
+  return ctx.getImageData(0, 0, tw, th).data;
 }
 
 // ============================================================================
-// COLOR EXTRACTION & UTILITIES
+// PALETTE WORKER & CACHE
 // ============================================================================
 
-/**
- * Convert RGB to HSL color space
- * @param {number} r - Red (0-255)
- * @param {number} g - Green (0-255)
- * @param {number} b - Blue (0-255)
- * @returns {[number, number, number]} [hue (0-360), saturation (0-1), lightness (0-1)]
- */
-function rgbToHsl(r, g, b) {
-  r /= 255;
-  g /= 255;
-  b /= 255;
-  
-  const max = Math.max(r, g, b);
-  const min = Math.min(r, g, b);
-  let h, s;
-  const l = (max + min) / 2;
-
-  if (max === min) {
-    h = 0;
-    s = 0; // Achromatic
-  } else {
-    const d = max - min;
-    s = l > 0.5 ? d / (2 - max - min) : d / (max + min);
-    
-    switch (max) {
-      case r:
-        h = (g - b) / d + (g < b ? 6 : 0);
-        break;
-      case g:
-        h = (b - r) / d + 2;
-        break;
-      default:
-        h = (r - g) / d + 4;
-        break;
-    }
-    h /= 6;
-  }
+// Shared by all carousels on the page: { worker, jobs: Map, nextId }, or
+// false once the worker turned out to be unusable
+const paletteWorkers = new Map();
 
-  return [h * 360, s, l];
+/**
+ * Whether this browser can extract palettes in a worker
+ * @returns {boolean}
+ */
+function canUseWorker() {
+  return (
+    typeof Worker === 'function' &&
+    typeof OffscreenCanvas === 'function' &&
+    typeof createImageBitmap === 'function'
+  );
 }
 
 /**
- * Convert HSL to RGB color space
- * @param {number} h - Hue (0-360)
- * @param {number} s - Saturation (0-1)
- * @param {number} l - Lightness (0-1)
- * @returns {[number, number, number]} [red (0-255), green (0-255), blue (0-255)]
+ * Get (or start) the palette worker for a script URL
+ * @param {string} url - Worker script URL
+ * @returns {{worker: Worker, jobs: Map, nextId: number}|null} null when unavailable
  */
-function hslToRgb(h, s, l) {
-  h = ((h % 360) + 360) % 360;
-  h /= 360;
-  let r, g, b;
+function getPaletteWorker(url) {
+  if (paletteWorkers.has(url)) return paletteWorkers.get(url) || null;
 
-  if (s === 0) {
-    r = g = b = l; // Achromatic
-  } else {
-    const hue2rgb = (p, q, t) => {
-      if (t < 0) t += 1;
-      if (t > 1) t -= 1;
-      if (t < 1 / 6) return p + (q - p) * 6 * t;
-      if (t < 1 / 2) return q;
-      if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6;
-      return p;
-    };
-    
-    const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
-    const p = 2 * l - q;
-    r = hue2rgb(p, q, h + 1 / 3);
-    g = hue2rgb(p, q, h);
-    b = hue2rgb(p, q, h - 1 / 3);
+  let entry;
+  try {
+    entry = { worker: new Worker(url), jobs: new Map(), nextId: 1 };
+  } catch {
+    paletteWorkers.set(url, false);
+    return null;
   }
 
-  return [Math.round(r * 255), Math.round(g * 255), Math.round(b * 255)];
+  entry.worker.addEventListener('message', (e) => {
+    const { id, palette, error } = e.data;
+    const job = entry.jobs.get(id);
+    if (!job) return;
+    entry.jobs.delete(id);
+    // Extraction errors (e.g. tainted images) resolve to null, not a rejection
+    job.resolve(error ? null : palette);
+  });
+
+  // Script failed to load or crashed: reject pending jobs so callers fall
+  // back to the main thread, and stop using this worker
+  entry.worker.addEventListener('error', (e) => {
+    e.preventDefault();
+    paletteWorkers.set(url, false);
+    entry.worker.terminate();
+    entry.jobs.forEach((job) => job.reject(new Error('GradientCarousel: palette worker unavailable')));
+    entry.jobs.clear();
+  });
+
+  paletteWorkers.set(url, entry);
+  return entry;
 }
 
 /**
- * Generate fallback colors when extraction fails
- * @param {number} idx - Card index
- * @returns {{c1: number[], c2: number[]}} Two RGB colors
+ * Extract a palette in the worker
+ * @param {string} url - Worker script URL
+ * @param {HTMLImageElement} img - Loaded image
+ * @param {Object} opts - `{ method, size }`
+ * @returns {Promise<Object|null>} Palette, or null if the pixels could not be read
+ * @throws {Error} When the worker is unavailable
  */
-function fallbackFromIndex(idx) {
-  const h = (idx * 37) % 360; // Spread hues across spectrum
-  const s = 0.65;
-  const c1 = hslToRgb(h, s, 0.52);
-  const c2 = hslToRgb(h, s, 0.72);
-  return { c1, c2 };
+async function extractInWorker(url, img, opts) {
+  const entry = getPaletteWorker(url);
+  if (!entry) throw new Error('GradientCarousel: palette worker unavailable');
+
+  // Downscale while decoding, so only a tiny bitmap crosses threads
+  const { width, height } = sampleSize(img.naturalWidth, img.naturalHeight);
+  const bitmap = await createImageBitmap(img, {
+    resizeWidth: width,
+    resizeHeight: height,
+    resizeQuality: 'medium',
+  });
+
+  return new Promise((resolve, reject) => {
+    const id = entry.nextId++;
+    entry.jobs.set(id, { resolve, reject });
+    entry.worker.postMessage({ id, bitmap, opts }, [bitmap]);
+  });
 }
 
+// IndexedDB connection, opened on first use (null when unavailable)
+let paletteDB = null;
+
 /**
- * Extract dominant colors from an image using histogram analysis
- * @param {HTMLImageElement} img - Image element to analyze
- * @param {number} idx - Card index (for fallback)
- * @returns {{c1: number[], c2: number[]}} Two dominant RGB colors
+ * Open the palette cache database
+ * @returns {Promise<IDBDatabase|null>}
  */
-function extractColors(img, idx) {
-  try {
-    // Downscale image for faster processing
-    const MAX = 48;
-    const ratio = img.naturalWidth && img.naturalHeight ? img.naturalWidth / img.naturalHeight : 1;
-    const tw = ratio >= 1 ? MAX : Math.max(16, Math.round(MAX * ratio));
-    const th = ratio >= 1 ? Math.max(16, Math.round(MAX / ratio)) : MAX;
-
-    // Draw image to temporary canvas
-    const canvas = document.createElement('canvas');
-    canvas.width = tw;
-    canvas.height = th;
-    const ctx = canvas.getContext('2d');
-    ctx.drawImage(img, 0, 0, tw, th);
-    const data = ctx.getImageData(0, 0, tw, th).data;
-
-    // Create 2D histogram bins (hue × saturation)
-    const H_BINS = 36; // 10° hue increments
-    const S_BINS = 5;  // 20% saturation increments
-    const SIZE = H_BINS * S_BINS;
-    const wSum = new Float32Array(SIZE); // Weighted pixel count
-    const rSum = new Float32Array(SIZE); // Weighted red sum
-    const gSum = new Float32Array(SIZE); // Weighted green sum
-    const bSum = new Float32Array(SIZE); // Weighted blue sum
-
-    // Analyze each pixel
-    for (let i = 0; i < data.length; i += 4) {
-      const a = data[i + 3] / 255;
-      if (a < 0.05) continue; // Skip transparent pixels
-
-      const r = data[i];
-      const g = data[i + 1];
-      const b = data[i + 2];
-      const [h, s, l] = rgbToHsl(r, g, b);
-
-      // Skip near-white, near-black, and desaturated colors
-      if (l < 0.1 || l > 0.92 || s < 0.08) continue;
-
-      // Weight by saturation and mid-tone preference
-      const w = a * (s * s) * (1 - Math.abs(l - 0.5) * 0.6);
-      
-      // Calculate bin indices
-      const hi = Math.max(0, Math.min(H_BINS - 1, Math.floor((h / 360) * H_BINS)));
-      const si = Math.max(0, Math.min(S_BINS - 1, Math.floor(s * S_BINS)));
-      const bidx = hi * S_BINS + si;
-
-      // Accumulate weighted values
-      wSum[bidx] += w;
-      rSum[bidx] += r * w;
-      gSum[bidx] += g * w;
-      bSum[bidx] += b * w;
-    }
-
-    // Find primary color (bin with highest weight)
-    let pIdx = -1;
-    let pW = 0;
-    for (let i = 0; i < SIZE; i++) {
-      if (wSum[i] > pW) {
-        pW = wSum[i];
-        pIdx = i;
-      }
-    }
-
-    if (pIdx < 0 || pW <= 0) return fallbackFromIndex(idx);
-
-    const pHue = Math.floor(pIdx / S_BINS) * (360 / H_BINS);
-
-    // Find secondary color (sufficiently different hue)
-    let sIdx = -1;
-    let sW = 0;
-    for (let i = 0; i < SIZE; i++) {
-      const w = wSum[i];
-      if (w <= 0) continue;
-      
-      const h = Math.floor(i / S_BINS) * (360 / H_BINS);
-      let dh = Math.abs(h - pHue);
-      dh = Math.min(dh, 360 - dh); // Shortest distance on color wheel
-      
-      if (dh >= 25 && w > sW) { // At least 25° different
-        sW = w;
-        sIdx = i;
+function openPaletteDB() {
+  if (!paletteDB) {
+    paletteDB = new Promise((resolve) => {
+      try {
+        const req = indexedDB.open('gradient-carousel', 1);
+        req.onupgradeneeded = () => req.result.createObjectStore('palettes');
+        req.onsuccess = () => resolve(req.result);
+        req.onerror = () => resolve(null);
+        req.onblocked = () => resolve(null);
+      } catch {
+        // No IndexedDB (e.g. some private modes)
+        resolve(null);
       }
-    }
-
-    // Calculate weighted average RGB for a bin
-    const avgRGB = (idx) => {
-      const w = wSum[idx] || 1e-6;
-      return [
-        Math.round(rSum[idx] / w),
-        Math.round(gSum[idx] / w),
-        Math.round(bSum[idx] / w)
-      ];
-    };
-
-    // Build primary color
-    const [pr, pg, pb] = avgRGB(pIdx);
-    let [h1, s1] = rgbToHsl(pr, pg, pb);
-    s1 = Math.max(0.45, Math.min(1, s1 * 1.15)); // Boost saturation
-    const c1 = hslToRgb(h1, s1, 0.5);
-
-    // Build secondary color
-    let c2;
-    if (sIdx >= 0 && sW >= pW * 0.6) {
-      // Use distinct secondary color
-      const [sr, sg, sb] = avgRGB(sIdx);
-      let [h2, s2] = rgbToHsl(sr, sg, sb);
-      s2 = Math.max(0.45, Math.min(1, s2 * 1.05));
-      c2 = hslToRgb(h2, s2, 0.72);
-    } else {
-      // Use lighter version of primary
-      c2 = hslToRgb(h1, s1, 0.72);
-    }
-
-    return { c1, c2 };
-  } catch {
-    return fallbackFromIndex(idx);
+    });
   }
+  return paletteDB;
 }
 
 /**
- * Extract colors from all card images
+ * Read a cached palette
+ * @param {string} key - Cache key
+ * @returns {Promise<Object|null>}
  */
-function buildPalette() {
-  gradPalette = items.map((it, i) => {
-    const img = it.el.querySelector('img');
-    return extractColors(img, i);
+async function readCachedPalette(key) {
+  const db = await openPaletteDB();
+  if (!db) return null;
+
+  return new Promise((resolve) => {
+    try {
+      const req = db.transaction('palettes', 'readonly').objectStore('palettes').get(key);
+      req.onsuccess = () => resolve(req.result || null);
+      req.onerror = () => resolve(null);
+    } catch {
+      resolve(null);
+    }
   });
 }
 
 /**
- * Set the active gradient based on the centered card
- * @param {number} idx - Card index
+ * Store a palette in the cache. Failures (quota, private mode) are ignored.
+ * @param {string} key - Cache key
+ * @param {Object} palette
  */
-function setActiveGradient(idx) {
-  if (!bgCtx || idx < 0 || idx >= items.length || idx === activeIndex) return;
-
-  activeIndex = idx;
-  const pal = gradPalette[idx] || { c1: [240, 240, 240], c2: [235, 235, 235] };
-  const to = {
-    r1: pal.c1[0],
-    g1: pal.c1[1],
-    b1: pal.c1[2],
-    r2: pal.c2[0],
-    g2: pal.c2[1],
-    b2: pal.c2[2],
-  };
+async function writeCachedPalette(key, palette) {
+  const db = await openPaletteDB();
+  if (!db) return;
 
-  // Animate transition with GSAP if available
-  if (window.gsap) {
-    bgFastUntil = performance.now() + 800; // High FPS for smooth transition
-    window.gsap.to(gradCurrent, { ...to, duration: 0.45, ease: 'power2.out' });
-  } else {
-    Object.assign(gradCurrent, to);
+  try {
+    db.transaction('palettes', 'readwrite').objectStore('palettes').put(palette, key);
+  } catch {
+    // Caching is best effort
   }
 }
 
-// ============================================================================
-// BACKGROUND RENDERING
-// ============================================================================
-
 /**
- * Resize background canvas to match viewport
+ * Load a palette manifest (see tools/palette-manifest.js). Entry `src` paths
+ * resolve against the manifest URL, or the page for inline manifests.
+ * @param {string|Object|Array} source - Manifest URL, manifest object or its `images` array
+ * @returns {Promise<Map<string, Object>|null>} Absolute image URL to palette;
+ *   null when the manifest could not be loaded
  */
-function resizeBG() {
-  if (!bgCanvas || !bgCtx) return;
+async function readManifest(source) {
+  let data = source;
+  let base = location.href;
 
-  const dpr = Math.max(1, Math.min(2, window.devicePixelRatio || 1));
-  const w = bgCanvas.clientWidth || stage.clientWidth;
-  const h = bgCanvas.clientHeight || stage.clientHeight;
-  const tw = Math.floor(w * dpr);
-  const th = Math.floor(h * dpr);
+  try {
+    if (typeof source === 'string') {
+      const res = await fetch(new URL(source, location.href));
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      data = await res.json();
+      base = res.url;
+    }
 
-  if (bgCanvas.width !== tw || bgCanvas.height !== th) {
-    bgCanvas.width = tw;
-    bgCanvas.height = th;
-    bgCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    const map = new Map();
+    for (const entry of (Array.isArray(data) ? data : data?.images) || []) {
+      const palette = typeof entry?.src === 'string' && fromManifestEntry(entry);
+      if (palette) map.set(new URL(entry.src, base).href, palette);
+    }
+    return map;
+  } catch (err) {
+    // Runtime extraction takes over
+    console.warn('GradientCarousel: could not load palette manifest', err);
+    return null;
   }
 }
 
 /**
- * Render animated gradient background
+ * Run a task when the main thread is idle
+ * @param {Function} fn
+ * @returns {Promise<*>} The task's result
  */
-function drawBackground() {
-  if (!bgCanvas || !bgCtx) return;
+function whenIdle(fn) {
+  return new Promise((resolve) => {
+    const run = () => resolve(fn());
+    if ('requestIdleCallback' in window) requestIdleCallback(run, { timeout: 500 });
+    else setTimeout(run, 0);
+  });
+}
+
+// ============================================================================
+// BACKGROUND RENDERERS
+// ============================================================================
+
+/*
+  A renderer is a function `draw(ctx, frame)` that paints one background
+  frame. `frame` carries:
+    width, height  Canvas size in CSS pixels
+    time           Seconds since start (frozen at 0 under reduced motion)
+    palette        { c1, c2 } current interpolated RGB colors
+    colors         Same colors as an array
+    swatches       Weighted swatches of the active card, heaviest first
+    roles          { vibrant, muted, dark, light } of the active card
+    base           Base color painted under the gradients
+    image          Active card image, if any
+    options        Renderer defaults merged with `backgroundOptions`
+    state          Object that persists between frames for this carousel
+    reducedMotion  Whether motion is reduced
+*/
 
-  const now = performance.now();
-  const minInterval = now < bgFastUntil ? 16 : 33; // 60fps or 30fps
+/** Registered renderers: name -> { draw, defaults, filter } */
+const RENDERERS = new Map();
 
-  // Throttle rendering based on transition state
-  if (now - lastBgDraw < minInterval) {
-    bgRAF = requestAnimationFrame(drawBackground);
-    return;
+/**
+ * Register a background renderer
+ * @param {string} name - Name used in the `background` option
+ * @param {Function} draw - draw(ctx, frame)
+ * @param {Object} [defaults] - Default renderer options
+ * @param {Object} [opts]
+ * @param {string} [opts.filter] - CSS filter for the canvas, replacing the stylesheet's blur
+ */
+function registerRenderer(name, draw, defaults = {}, { filter } = {}) {
+  if (typeof name !== 'string' || !name) {
+    throw new TypeError('GradientCarousel: renderer name must be a non-empty string');
   }
+  if (typeof draw !== 'function') {
+    throw new TypeError(`GradientCarousel: renderer "${name}" must be a function`);
+  }
+  RENDERERS.set(name, { draw, defaults, filter });
+}
+
+/**
+ * Format an RGB triple as a CSS rgba() color
+ * @param {number[]} c - [r, g, b]
+ * @param {number} a - Alpha (0-1)
+ * @returns {string}
+ */
+function rgba(c, a) {
+  return `rgba(${c[0]},${c[1]},${c[2]},${a})`;
+}
 
-  lastBgDraw = now;
-  resizeBG();
+/**
+ * Linear mix of two RGB colors
+ * @param {number[]} a
+ * @param {number[]} b
+ * @param {number} t - 0 returns a, 1 returns b
+ * @returns {number[]}
+ */
+function mixRgb(a, b, t) {
+  return [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t, a[2] + (b[2] - a[2]) * t];
+}
 
-  const w = bgCanvas.clientWidth || stage.clientWidth;
-  const h = bgCanvas.clientHeight || stage.clientHeight;
+/**
+ * Fill the canvas with a radial gradient fading to transparent
+ */
+function fillRadial(ctx, x, y, radius, color, alpha, w, h) {
+  const g = ctx.createRadialGradient(x, y, 0, x, y, radius);
+  g.addColorStop(0, rgba(color, alpha));
+  g.addColorStop(1, 'rgba(255,255,255,0)');
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, w, h);
+}
 
+/**
+ * Two drifting radial gradients (the original look)
+ */
+function drawRadialDuo(ctx, { width: w, height: h, time, palette, base, options }) {
   // Fill base color
-  bgCtx.fillStyle = '#f6f7f9';
-  bgCtx.fillRect(0, 0, w, h);
+  ctx.fillStyle = base;
+  ctx.fillRect(0, 0, w, h);
 
   // Animate gradient centers
-  const time = now * 0.0002;
+  const t = time * options.speed;
   const cx = w * 0.5;
   const cy = h * 0.5;
   const a1 = Math.min(w, h) * 0.35; // Amplitude for first gradient
   const a2 = Math.min(w, h) * 0.28; // Amplitude for second gradient
 
   // Calculate floating positions using trigonometry
-  const x1 = cx + Math.cos(time) * a1;
-  const y1 = cy + Math.sin(time * 0.8) * a1 * 0.4;
-  const x2 = cx + Math.cos(-time * 0.9 + 1.2) * a2;
-  const y2 = cy + Math.sin(-time * 0.7 + 0.7) * a2 * 0.5;
+  const x1 = cx + Math.cos(t) * a1;
+  const y1 = cy + Math.sin(t * 0.8) * a1 * 0.4;
+  const x2 = cx + Math.cos(-t * 0.9 + 1.2) * a2;
+  const y2 = cy + Math.sin(-t * 0.7 + 0.7) * a2 * 0.5;
 
   const r1 = Math.max(w, h) * 0.75; // First gradient radius
   const r2 = Math.max(w, h) * 0.65; // Second gradient radius
 
-  // Draw first radial gradient
-  const g1 = bgCtx.createRadialGradient(x1, y1, 0, x1, y1, r1);
-  g1.addColorStop(0, `rgba(${gradCurrent.r1},${gradCurrent.g1},${gradCurrent.b1},0.85)`);
-  g1.addColorStop(1, 'rgba(255,255,255,0)');
-  bgCtx.fillStyle = g1;
-  bgCtx.fillRect(0, 0, w, h);
+  fillRadial(ctx, x1, y1, r1, palette.c1, options.alpha1, w, h);
+  fillRadial(ctx, x2, y2, r2, palette.c2, options.alpha2, w, h);
+}
 
-  // Draw second radial gradient
-  const g2 = bgCtx.createRadialGradient(x2, y2, 0, x2, y2, r2);
-  g2.addColorStop(0, `rgba(${gradCurrent.r2},${gradCurrent.g2},${gradCurrent.b2},0.70)`);
-  g2.addColorStop(1, 'rgba(255,255,255,0)');
-  bgCtx.fillStyle = g2;
-  bgCtx.fillRect(0, 0, w, h);
+/**
+ * Several soft color points drifting on independent orbits
+ */
+function drawMesh(ctx, { width: w, height: h, time, colors, base, options }) {
+  ctx.fillStyle = base;
+  ctx.fillRect(0, 0, w, h);
+
+  const [c1, c2] = colors;
+  const white = [255, 255, 255];
+  const points = [c1, c2, mixRgb(c1, c2, 0.5), mixRgb(c1, white, 0.35), mixRgb(c2, white, 0.35)];
+  const count = Math.max(2, Math.min(points.length, options.points));
+  const radius = Math.max(w, h) * options.radius;
+  const t = time * options.speed;
+
+  for (let i = 0; i < count; i++) {
+    // Spread anchors around an ellipse, each with its own orbit phase
+    const angle = (i / count) * Math.PI * 2;
+    const ax = w * (0.5 + Math.cos(angle) * 0.3);
+    const ay = h * (0.5 + Math.sin(angle) * 0.3);
+    const x = ax + Math.cos(t * (0.7 + i * 0.13) + i * 1.7) * w * 0.12;
+    const y = ay + Math.sin(t * (0.6 + i * 0.11) + i * 2.3) * h * 0.12;
+    fillRadial(ctx, x, y, radius, points[i], options.alpha, w, h);
+  }
+}
 
-  bgRAF = requestAnimationFrame(drawBackground);
+/**
+ * Linear gradient whose axis slowly rotates
+ */
+function drawLinearSweep(ctx, { width: w, height: h, time, colors, base, options }) {
+  ctx.fillStyle = base;
+  ctx.fillRect(0, 0, w, h);
+
+  const angle = time * options.speed + options.angle;
+  const len = Math.hypot(w, h) / 2;
+  const dx = Math.cos(angle) * len;
+  const dy = Math.sin(angle) * len;
+
+  const g = ctx.createLinearGradient(w / 2 - dx, h / 2 - dy, w / 2 + dx, h / 2 + dy);
+  g.addColorStop(0, rgba(colors[0], options.alpha));
+  g.addColorStop(0.5, rgba(mixRgb(colors[0], colors[1], 0.5), options.alpha * 0.8));
+  g.addColorStop(1, rgba(colors[1], options.alpha));
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, w, h);
 }
 
 /**
- * Start background animation loop
+ * Rotating conic gradient; falls back to the linear sweep where
+ * createConicGradient is unavailable
  */
-function startBG() {
-  if (!bgCanvas || !bgCtx) return;
-  cancelBG();
-  bgRAF = requestAnimationFrame(drawBackground);
+function drawConicSweep(ctx, frame) {
+  if (typeof ctx.createConicGradient !== 'function') {
+    drawLinearSweep(ctx, frame);
+    return;
+  }
+
+  const { width: w, height: h, time, colors, base, options } = frame;
+  ctx.fillStyle = base;
+  ctx.fillRect(0, 0, w, h);
+
+  const [c1, c2] = colors;
+  const g = ctx.createConicGradient(time * options.speed + options.angle, w / 2, h / 2);
+  g.addColorStop(0, rgba(c1, options.alpha));
+  g.addColorStop(0.5, rgba(c2, options.alpha));
+  g.addColorStop(1, rgba(c1, options.alpha));
+  ctx.fillStyle = g;
+  ctx.fillRect(0, 0, w, h);
 }
 
 /**
- * Stop background animation loop
+ * Draw an image scaled to cover the canvas
  */
-function cancelBG() {
-  if (bgRAF) cancelAnimationFrame(bgRAF);
-  bgRAF = null;
+function drawCover(ctx, img, w, h, zoom) {
+  const iw = img.naturalWidth || img.width;
+  const ih = img.naturalHeight || img.height;
+  if (!iw || !ih) return;
+
+  const scale = Math.max(w / iw, h / ih) * zoom;
+  const dw = iw * scale;
+  const dh = ih * scale;
+  ctx.drawImage(img, (w - dw) / 2, (h - dh) / 2, dw, dh);
 }
 
-// ============================================================================
-// EVENT HANDLERS
-// ============================================================================
+/**
+ * Heavily blurred copy of the active image, cross-fading on change
+ */
+function drawBlurredImage(ctx, frame) {
+  const { width: w, height: h, image, base, state, options } = frame;
+
+  // Track image changes to cross-fade from the previous one
+  if (image !== state.image) {
+    state.prevImage = state.image || null;
+    state.image = image;
+    state.changedAt = performance.now();
+  }
+  const fade = Math.min(1, (performance.now() - (state.changedAt || 0)) / (options.fade * 1000));
+
+  ctx.fillStyle = base;
+  ctx.fillRect(0, 0, w, h);
+
+  ctx.save();
+  ctx.filter = `blur(${options.blur}px) saturate(${options.saturate})`;
+  if (state.prevImage && fade < 1) {
+    ctx.globalAlpha = options.alpha;
+    drawCover(ctx, state.prevImage, w, h, options.zoom);
+  }
+  if (image) {
+    ctx.globalAlpha = options.alpha * fade;
+    drawCover(ctx, image, w, h, options.zoom);
+  } else {
+    // No image yet: fall back to the palette
+    drawRadialDuo(ctx, { ...frame, options: RENDERERS.get('radial-duo').defaults });
+  }
+  ctx.restore();
+}
 
 /**
- * Handle window resize
+ * Pseudo-random value in [0, 1) for an integer lattice point
  */
-function onResize() {
-  const prevStep = STEP || 1;
-  const ratio = SCROLL_X / (items.length * prevStep);
-  measure();
-  VW_HALF = window.innerWidth * 0.5;
-  SCROLL_X = mod(ratio * TRACK, TRACK);
-  updateCarouselTransforms();
-  resizeBG();
+function hash2(x, y) {
+  const n = Math.sin(x * 127.1 + y * 311.7) * 43758.5453;
+  return n - Math.floor(n);
 }
 
-// Mouse wheel scrolling
-stage.addEventListener(
-  'wheel',
-  (e) => {
-    if (isEntering) return;
-    e.preventDefault();
+/**
+ * Smooth 2D value noise in [0, 1]
+ */
+function valueNoise(x, y) {
+  const ix = Math.floor(x);
+  const iy = Math.floor(y);
+  const fx = x - ix;
+  const fy = y - iy;
+  const ux = fx * fx * (3 - 2 * fx);
+  const uy = fy * fy * (3 - 2 * fy);
+
+  const a = hash2(ix, iy);
+  const b = hash2(ix + 1, iy);
+  const c = hash2(ix, iy + 1);
+  const d = hash2(ix + 1, iy + 1);
+  return a + (b - a) * ux + (c - a) * uy + (a - b - c + d) * ux * uy;
+}
 
-    const delta = Math.abs(e.deltaX) > Math.abs(e.deltaY) ? e.deltaX : e.deltaY;
-    vX += delta * WHEEL_SENS * 20;
-  },
-  { passive: false }
+/**
+ * Flowing low-resolution noise field blended between the palette colors,
+ * upscaled smoothly, with an optional film grain overlay
+ */
+function drawNoise(ctx, { width: w, height: h, time, colors, state, options }) {
+  // Low-res field canvas, upscaled with smoothing for a soft look
+  const fw = options.resolution;
+  const fh = Math.max(1, Math.round((fw * h) / Math.max(1, w)));
+  if (!state.field || state.field.width !== fw || state.field.height !== fh) {
+    state.field = document.createElement('canvas');
+    state.field.width = fw;
+    state.field.height = fh;
+    state.fieldCtx = state.field.getContext('2d');
+    state.fieldData = state.fieldCtx.createImageData(fw, fh);
+  }
+
+  const { data } = state.fieldData;
+  const [c1, c2] = colors;
+  const t = time * options.speed;
+  const freq = options.scale / fw;
+
+  for (let y = 0; y < fh; y++) {
+    for (let x = 0; x < fw; x++) {
+      // Two octaves of drifting value noise
+      const n =
+        valueNoise(x * freq + t, y * freq - t * 0.7) * 0.65 +
+        valueNoise(x * freq * 2.1 - t * 0.5, y * freq * 2.1 + t) * 0.35;
+      const c = mixRgb(c1, c2, n);
+      const i = (y * fw + x) * 4;
+      data[i] = c[0];
+      data[i + 1] = c[1];
+      data[i + 2] = c[2];
+      data[i + 3] = 255;
+    }
+  }
+  state.fieldCtx.putImageData(state.fieldData, 0, 0);
+
+  ctx.save();
+  ctx.imageSmoothingEnabled = true;
+  ctx.imageSmoothingQuality = 'high';
+  ctx.drawImage(state.field, 0, 0, w, h);
+  ctx.restore();
+
+  // Static grain tile, shifted each frame so it shimmers
+  if (options.grain > 0) {
+    if (!state.grain) {
+      const size = 128;
+      const tile = document.createElement('canvas');
+      tile.width = size;
+      tile.height = size;
+      const tctx = tile.getContext('2d');
+      const img = tctx.createImageData(size, size);
+      for (let i = 0; i < img.data.length; i += 4) {
+        const v = Math.random() * 255;
+        img.data[i] = v;
+        img.data[i + 1] = v;
+        img.data[i + 2] = v;
+        img.data[i + 3] = 255;
+      }
+      tctx.putImageData(img, 0, 0);
+      state.grain = ctx.createPattern(tile, 'repeat');
+    }
+
+    const shift = time ? Math.floor(Math.random() * 128) : 0;
+    ctx.save();
+    ctx.globalAlpha = options.grain;
+    ctx.globalCompositeOperation = 'overlay';
+    ctx.translate(-shift, -shift);
+    ctx.fillStyle = state.grain;
+    ctx.fillRect(shift, shift, w, h);
+    ctx.restore();
+  }
+}
+
+registerRenderer('radial-duo', drawRadialDuo, { alpha1: 0.85, alpha2: 0.7, speed: 0.2 });
+registerRenderer('mesh', drawMesh, { points: 5, alpha: 0.6, radius: 0.55, speed: 0.2 });
+registerRenderer('linear-sweep', drawLinearSweep, { alpha: 0.8, angle: 0, speed: 0.05 });
+registerRenderer('conic-sweep', drawConicSweep, { alpha: 0.75, angle: 0, speed: 0.05 });
+registerRenderer('blurred-image', drawBlurredImage, { blur: 48, saturate: 1.2, alpha: 0.9, zoom: 1.2, fade: 0.45 });
+registerRenderer(
+  'noise',
+  drawNoise,
+  { resolution: 48, scale: 3, speed: 0.08, grain: 0.06 },
+  { filter: 'saturate(1.05)' } // Keep the grain sharp: no CSS blur
 );
 
-// Prevent default drag behavior
-stage.addEventListener('dragstart', (e) => e.preventDefault());
-
-// Drag state
-let dragging = false;
-let lastX = 0;
-let lastT = 0;
-let lastDelta = 0;
-
-// Pointer down - start dragging
-stage.addEventListener('pointerdown', (e) => {
-  if (isEntering) return;
-  if (e.target.closest('.frame')) return;
-  
-  dragging = true;
-  lastX = e.clientX;
-  lastT = performance.now();
-  lastDelta = 0;
-  stage.setPointerCapture(e.pointerId);
-  stage.classList.add('dragging');
-});
+// ============================================================================
+// LAYOUTS
+// ============================================================================
+//
+// A layout places a card from its position on the wrapped track; the effect
+// (see EFFECTS) then styles it in place. A layout has:
+//   axis:              'x' or 'y'. Drag, wheel, arrow keys and the viewport
+//                      half-size used for normalization follow this axis.
+//   transform(pos, f): returns { transform, z } for a card `pos` px from the
+//                      center. `f` holds norm (pos / half, clamped to ±1),
+//                      half, track, step, cardW, cardH, flat (reduced motion)
+//                      and options.
+//   reach(f):          optional; distance from the center within which cards
+//                      can be visible (used by virtualization).
+
+const LAYOUTS = new Map();
 
-// Pointer move - update scroll position
-stage.addEventListener('pointermove', (e) => {
-  if (!dragging) return;
+/**
+ * Throw unless a value is a usable layout object
+ * @param {string} name - Name for the error message
+ * @param {*} layout
+ */
+function checkLayout(name, layout) {
+  if (!layout || typeof layout !== 'object' || typeof layout.transform !== 'function') {
+    throw new TypeError(`GradientCarousel: layout "${name}" must be an object with a transform(pos, frame) function`);
+  }
+  if (layout.axis !== 'x' && layout.axis !== 'y') {
+    throw new TypeError(`GradientCarousel: layout "${name}" must have an axis of 'x' or 'y'`);
+  }
+}
 
-  const now = performance.now();
-  const dx = e.clientX - lastX;
-  const dt = Math.max(1, now - lastT) / 1000;
+/**
+ * Register a layout
+ * @param {string} name - Name used in the `layout` option
+ * @param {{axis: string, transform: Function, reach?: Function}} layout
+ */
+function registerLayout(name, layout) {
+  if (typeof name !== 'string' || !name) {
+    throw new TypeError('GradientCarousel: layout name must be a non-empty string');
+  }
+  checkLayout(name, layout);
+  LAYOUTS.set(name, layout);
+}
 
-  SCROLL_X = mod(SCROLL_X - dx * DRAG_SENS, TRACK);
-  lastDelta = dx / dt; // Track velocity for momentum
-  lastX = e.clientX;
-  lastT = now;
+registerLayout('horizontal', {
+  axis: 'x',
+  transform: (pos) => ({ transform: `translate3d(${pos}px,-50%,0)`, z: 0 }),
 });
 
-// Pointer up - apply momentum
-stage.addEventListener('pointerup', (e) => {
-  if (!dragging) return;
-  dragging = false;
-  stage.releasePointerCapture(e.pointerId);
-  vX = -lastDelta * DRAG_SENS; // Apply final velocity
-  stage.classList.remove('dragging');
+registerLayout('vertical', {
+  axis: 'y',
+  transform: (pos) => ({ transform: `translate3d(-50%,${pos}px,0)`, z: 0 }),
 });
 
-// Debounced resize handler
-window.addEventListener('resize', () => {
-  clearTimeout(onResize._t);
-  onResize._t = setTimeout(onResize, 80);
-});
+// Cards on the outside of a cylinder whose circumference is the track. The
+// front card sits where the horizontal layout centers it; reduced motion
+// unrolls the cylinder into that flat row.
+registerLayout('ring', {
+  axis: 'x',
+  transform(pos, { track, flat }) {
+    if (flat) return { transform: `translate3d(${pos}px,-50%,0)`, z: 0 };
 
-// Pause animations when tab is hidden
-document.addEventListener('visibilitychange', () => {
-  if (document.hidden) {
-    cancelCarousel();
-    cancelBG();
-  } else {
-    startCarousel();
-    startBG();
-  }
+    const radius = track / (2 * Math.PI);
+    const angle = (pos / track) * 360;
+
+    return {
+      transform: `translate3d(0,-50%,${-radius}px) rotateY(${angle}deg) translateZ(${radius}px)`,
+      z: radius * Math.cos((angle * Math.PI) / 180) - radius,
+    };
+  },
+  // Arc length to where the ring leaves the viewport, at most its front half
+  reach({ track, half, cardW, flat }) {
+    if (flat) return half + cardW;
+
+    const radius = track / (2 * Math.PI);
+    return radius * Math.asin(Math.min(1, (half + cardW) / radius));
+  },
 });
 
 // ============================================================================
-// INITIALIZATION & ENTRY ANIMATION
+// EFFECTS
 // ============================================================================
+//
+// An effect is a function `effect(norm, f)` that styles a card after the
+// layout has placed it. `norm` is the card's position relative to the
+// viewport half-size, clamped to ±1. `f` is the layout frame plus:
+//   pos     Position in px from the center along the axis
+//   slot    Position in cards (pos / step)
+//   axis    The layout's axis, 'x' or 'y'
+//   size    Card size along the axis
+//   params  Effect defaults merged with `effectOptions`
+// It returns any of:
+//   transform  Appended to the layout's transform
+//   opacity    0-1 (default 1)
+//   blur       Blur radius in px (default 0), dropped at quality level 2
+//   z          Added to the layout's z to order overlapping cards
+//   parallax   Offset in px of the card image along the axis, inside the card
+
+/** Registered effects: name -> { fn, defaults } */
+const EFFECTS = new Map();
+
+/** Image zoom that keeps parallax offsets from exposing the card edges */
+const PARALLAX_ZOOM = 1.15;
 
 /**
- * Animate visible cards entering the scene
- * @param {Array} visibleCards - Cards to animate
+ * Register a card effect
+ * @param {string} name - Name used in the `effect` option
+ * @param {Function} fn - effect(norm, frame)
+ * @param {Object} [defaults] - Default effect options
  */
-async function animateEntry(visibleCards) {
-  await new Promise((r) => requestAnimationFrame(r));
+function registerEffect(name, fn, defaults = {}) {
+  if (typeof name !== 'string' || !name) {
+    throw new TypeError('GradientCarousel: effect name must be a non-empty string');
+  }
+  if (typeof fn !== 'function') {
+    throw new TypeError(`GradientCarousel: effect "${name}" must be a function`);
+  }
+  EFFECTS.set(name, { fn, defaults });
+}
+
+/**
+ * Rotation that turns a card toward the center, around the axis
+ * perpendicular to the layout's
+ * @param {string} axis - 'x' or 'y'
+ * @param {number} deg - Positive past the center
+ * @returns {string}
+ */
+function tiltTransform(axis, deg) {
+  return axis === 'y' ? `rotateX(${deg}deg)` : `rotateY(${-deg}deg)`;
+}
+
+/**
+ * Translation along and across the layout's axis
+ * @param {string} axis - 'x' or 'y'
+ * @param {number} along
+ * @param {number} [across]
+ * @returns {string}
+ */
+function shiftTransform(axis, along, across = 0) {
+  return axis === 'y'
+    ? `translate3d(${across}px,${along}px,0)`
+    : `translate3d(${along}px,${across}px,0)`;
+}
+
+// The original look: cards tilt and recede toward the edges, and all but
+// the centered card and its neighbours get a subtle blur
+registerEffect('tilt', (norm, { axis, slot, flat, options }) => {
+  const invNorm = 1 - Math.abs(norm);
+
+  // Reduced motion flattens the 3D rotation and depth
+  const rotation = flat ? 0 : norm * options.maxRotation;
+  const depth = flat ? 0 : invNorm * options.maxDepth;
+  const scale = options.minScale + invNorm * options.scaleRange;
+
+  return {
+    transform: `translateZ(${depth}px) ${tiltTransform(axis, rotation)} scale(${scale})`,
+    z: depth,
+    blur: Math.abs(slot) < 1.5 ? 0 : 2 * Math.pow(Math.abs(norm), 1.1),
+  };
+});
+
+// Side cards turn sharply and bunch up behind the centered one
+registerEffect('coverflow', (norm, { axis, pos, slot, size, flat, params }) => {
+  const t = Math.max(-1, Math.min(1, slot));
+  const target = t * size * params.offset + (slot - t) * size * params.spacing;
+  const rotation = flat ? 0 : t * params.angle;
+  const depth = flat ? 0 : -Math.abs(t) * params.depth;
+
+  return {
+    transform: `${shiftTransform(axis, target - pos)} translateZ(${depth}px) ${tiltTransform(axis, rotation)}`,
+    z: -Math.abs(slot) * 100,
+  };
+}, { angle: 60, depth: 120, offset: 0.6, spacing: 0.25 });
+
+// Upcoming cards wait in a deck behind the centered one; passed cards
+// slide away and fade out
+registerEffect('stack', (norm, { axis, pos, slot, flat, params }) => {
+  // Keep the leaving card above the deck
+  if (slot <= 0) {
+    return { opacity: Math.max(0, 1 + slot), z: 50 };
+  }
+
+  const depth = flat ? 0 : -slot * params.depth;
+  return {
+    transform:
+      `${shiftTransform(axis, slot * params.offset - pos)} translateZ(${depth}px) ` +
+      `scale(${Math.max(0, 1 - slot * params.shrink)})`,
+    opacity: Math.max(0, Math.min(1, params.visible - slot)),
+    z: -slot * 100,
+  };
+}, { offset: 14, depth: 40, shrink: 0.05, visible: 4 });
+
+// Cards spread on an arc like a hand of playing cards
+registerEffect('fan', (norm, { axis, pos, slot, size, params }) => {
+  const angle = Math.max(-90, Math.min(90, slot * params.angle));
+  const rad = (angle * Math.PI) / 180;
+  const radius = params.radius * size;
+  const along = radius * Math.sin(rad);
+  const across = radius * (1 - Math.cos(rad));
+
+  return {
+    transform: `${shiftTransform(axis, along - pos, across)} rotateZ(${axis === 'y' ? -angle : angle}deg)`,
+    opacity: Math.max(0, Math.min(1, (90 - Math.abs(angle)) / 20)),
+    z: -Math.abs(slot) * 100,
+  };
+}, { angle: 10, radius: 2.5 });
+
+// No rotation or depth; the image drifts inside its card instead
+registerEffect('flat', (norm, { flat, params }) => ({
+  parallax: flat ? 0 : -norm * params.parallax,
+}), { parallax: 24 });
+
+// ============================================================================
+// CAROUSEL
+// ============================================================================
+
+class GradientCarousel {
+  /**
+   * Register a background renderer usable through the `background` option
+   * @param {string} name - Renderer name
+   * @param {Function} draw - draw(ctx, frame), see BACKGROUND RENDERERS
+   * @param {Object} [defaults] - Default renderer options
+   * @param {Object} [opts] - `{ filter }` CSS filter for the canvas
+   */
+  static registerRenderer(name, draw, defaults, opts) {
+    registerRenderer(name, draw, defaults, opts);
+  }
+
+  /**
+   * Register a layout usable through the `layout` option
+   * @param {string} name - Layout name
+   * @param {{axis: string, transform: Function, reach?: Function}} layout - See LAYOUTS
+   */
+  static registerLayout(name, layout) {
+    registerLayout(name, layout);
+  }
+
+  /**
+   * Register a card effect usable through the `effect` option
+   * @param {string} name - Effect name
+   * @param {Function} fn - effect(norm, frame), see EFFECTS
+   * @param {Object} [defaults] - Default effect options
+   */
+  static registerEffect(name, fn, defaults) {
+    registerEffect(name, fn, defaults);
+  }
+
+  /**
+   * Create a carousel inside a root element. The root is used as the stage:
+   * it receives the 3D perspective, the background canvas and the cards.
+   * Existing `.cards`, `.bg` and `.loader` children are reused when present.
+   * @param {HTMLElement} root - Stage element to mount into
+   * @param {Object} [options] - Overrides for DEFAULTS
+   * @throws {TypeError|RangeError} When an option is unknown or out of range
+   */
+  constructor(root, options = {}) {
+    if (!(root instanceof HTMLElement)) {
+      throw new TypeError('GradientCarousel: root must be an HTMLElement');
+    }
+
+    validateOptions(options);
+
+    this.root = root;
+    this.options = { ...DEFAULTS, ...options };
+    this.slides = this.resolveSlides();
+    this.destroyed = false;
+
+    // DOM references (created on demand, removed again in destroy())
+    this._created = [];
+    this.cardsRoot = root.querySelector('.cards') || this._createChild('section', 'cards');
+    this.bgCanvas = root.querySelector('canvas.bg') || this._createChild('canvas', 'bg');
+    this.bgCtx = this.bgCanvas.getContext('2d', { alpha: false });
+    this.loader = root.querySelector('.loader');
+    if (this._created.includes(this.bgCanvas)) {
+      this.bgCanvas.setAttribute('aria-hidden', 'true');
+    }
+    this._preloadLinks = [];
+
+    // Accessibility: carousel region plus a visually hidden live region
+    // that announces only the active slide
+    this._rootAttrs = new Map();
+    this._setRootAttr('role', 'region');
+    this._setRootAttr('aria-roledescription', 'carousel');
+    if (this.options.label || !root.hasAttribute('aria-label')) {
+      this._setRootAttr('aria-label', this.options.label || 'Carousel');
+    }
+    this.status = this._createChild('div', 'visually-hidden');
+    this.status.setAttribute('aria-live', 'polite');
+    this.status.setAttribute('aria-atomic', 'true');
+    this._ariaActive = null;      // Card element currently exposed as active
+    this._announceTimer = null;
+
+    // Reduced motion: follow the media query live unless forced by option
+    this._motionQuery = window.matchMedia?.('(prefers-reduced-motion: reduce)') || null;
+
+    // Event state, see on()/emit()
+    this._handlers = new Map();
+    this._reported = { slide: null, index: -1 }; // Last slide reported by `change`
+    this._lastScrollX = 0;
+    this._moving = false;
+
+    // Autoplay state, see stepAutoplay()
+    this._autoplay = {
+      elapsed: 0,                 // Seconds accumulated toward the next step
+      resumeAt: 0,                // Timestamp before which autoplay stays idle
+      reasons: new Set(),         // Active pause reasons ('hover', 'focus', 'drag', ...)
+      running: false,             // Last reported running state
+    };
+
+    // Carousel state
+    this.items = [];            // Array of {el: HTMLElement, slide: Object, x: number}
+    this.positions = [];        // Float32Array for wrapped positions
+    this.activeIndex = -1;      // Currently centered card index
+    this.isEntering = true;     // Prevents interaction during entry animation
+
+    // Layout measurements
+    this.cardW = 300;           // Card width (measured dynamically)
+    this.cardH = 400;           // Card height (measured dynamically)
+    this.step = this.cardW + this.options.gap; // Distance between card centers
+    this.track = 0;             // Total carousel track length
+    this.scrollX = 0;           // Current scroll position along the track
+    this.viewHalf = 0;          // Half the viewport size along the layout axis
+    this._layoutFrame = {};     // Reused argument for layouts and effects
+    this._effect = null;        // Resolved `effect` option, see resolveEffect()
+    this._parallaxed = new WeakSet(); // Cards whose image carries a parallax offset
+    this.applyLayout();         // Sets this.layout from the `layout` option
+
+    // Physics state
+    this.vX = 0;                // Velocity along the track
+    this._nav = null;           // Active goTo() animation, see stepNavigation()
+    this._snap = null;          // Active snap spring, see stepSnap()
+
+    // Frame scheduling, see frame()
+    this._frame = {
+      raf: null,                // Pending animation frame
+      timer: null,              // Pending timeout for the next background-only frame
+      bgDue: 0,                 // When the background is due to be drawn next
+      inFrame: false,           // frame() is running; wake() defers to its end
+      woken: false,             // wake() was called during frame()
+      carousel: false,          // Carousel physics enabled
+      background: false,        // Background rendering enabled
+      hidden: false,            // Paused while the tab is hidden
+      bgDirty: true,            // Background must be redrawn even if static
+    };
+    this.lastTime = 0;          // Last frame timestamp
+    this.lastBgDraw = 0;        // Last background draw time
+    this.quality = 0;           // Adaptive quality level, 0 = full
+    this._perf = { last: 0, avg: 0, refresh: Infinity, slow: 0, fast: 0 }; // See measureFrame()
+    this._styleCache = new WeakMap(); // Card element → last written styles
+    this._rendered = { scrollX: NaN, track: 0, half: 0 }; // Inputs of the last card render
+
+    // Background gradient state
+    this.gradPalette = [];      // Extracted colors from each image
+    this.gradCurrent = {        // Current interpolated gradient colors
+      r1: 240, g1: 240, b1: 240,  // First gradient color (RGB)
+      r2: 235, g2: 235, b2: 235   // Second gradient color (RGB)
+    };
+    this._tweens = new Set();   // Running tweens, stepped by frame()
+
+    // Virtualization state, see syncWindow()
+    this.virtual = false;       // Decided per build in createCards()
+    this._pool = [];            // Released card elements, reused on mount
+    this._prefetched = new Set(); // Image URLs already requested ahead of time
+    this._bgKey = null;         // `background` option the renderer was resolved for
+    this._bgRenderer = null;
+    this._bgState = {};         // Per-renderer state, reset when switching
+    this._paletteGen = 0;       // Bumped to abandon a running buildPalette()
+    this._manifest = null;      // { source, map: Promise }, see loadManifest()
+    this._theme = { at: 0, onBg: ON_BG_DARK, vars: new Map(), ctx: null }; // See updateTheme()
+
+    // Drag state
+    this.dragging = false;      // A gesture has been recognized as a drag
+    this._gesture = null;       // Tracked pointer, see onPointerDown()
+    this._suppressClick = false; // Swallow the click that ends a drag
+
+    this._lightbox = null;      // Open lightbox, see openLightbox()
+
+    // Wheel gesture state, see classifyWheel()
+    this._wheel = { t: 0, sign: 0, last: 0, decays: 0, rate: 0, trackpad: false, inertia: false };
+
+    // Registered listeners, removed in destroy()
+    this._listeners = [];
+    this._resizeTimer = null;
+
+    // Bind the frame callback once so it can be cancelled by id
+    this.frame = this.frame.bind(this);
+
+    this._bindEvents();
+
+    /** Resolves once the entry animation has finished */
+    this.ready = this.init();
+  }
+
+  // ==========================================================================
+  // DOM HELPERS
+  // ==========================================================================
+
+  /**
+   * Append a child element to the root and remember it for destroy()
+   * @param {string} tag - Element tag name
+   * @param {string} className - Class to assign
+   * @returns {HTMLElement}
+   */
+  _createChild(tag, className) {
+    const el = document.createElement(tag);
+    el.className = className;
+    this.root.appendChild(el);
+    this._created.push(el);
+    return el;
+  }
+
+  /**
+   * Resolve the `layout` option and expose it as `data-layout` and
+   * `data-axis` on the root, so stylesheets can adjust transform origins
+   * and touch-action per layout
+   */
+  applyLayout() {
+    const { layout } = this.options;
+    this.layout = typeof layout === 'string' ? LAYOUTS.get(layout) : layout;
+    this._setRootAttr('data-layout', typeof layout === 'string' ? layout : 'custom');
+    this._setRootAttr('data-axis', this.layout.axis);
+  }
+
+  /**
+   * Set an attribute on the root, remembering its previous value for destroy()
+   * @param {string} name
+   * @param {string} value
+   */
+  _setRootAttr(name, value) {
+    if (!this._rootAttrs.has(name)) {
+      this._rootAttrs.set(name, this.root.getAttribute(name));
+    }
+    this.root.setAttribute(name, value);
+  }
+
+  // ==========================================================================
+  // EVENTS
+  // ==========================================================================
+
+  /**
+   * Subscribe to a carousel event
+   * @param {string} type - Event name, e.g. 'change' or 'autoplay:progress'
+   * @param {Function} fn - Called with the event detail
+   * @returns {Function} Unsubscribe function
+   */
+  on(type, fn) {
+    if (typeof fn !== 'function') {
+      throw new TypeError('GradientCarousel: event handler must be a function');
+    }
+    if (!this._handlers.has(type)) this._handlers.set(type, new Set());
+    this._handlers.get(type).add(fn);
+    return () => this.off(type, fn);
+  }
+
+  /**
+   * Subscribe to the next occurrence of an event only
+   * @param {string} type - Event name
+   * @param {Function} fn - Called with the event detail
+   * @returns {Function} Unsubscribe function
+   */
+  once(type, fn) {
+    const wrapper = (detail) => {
+      off();
+      fn(detail);
+    };
+    // Tagged so off() with the original handler finds it
+    wrapper.original = fn;
+    const off = this.on(type, wrapper);
+    return off;
+  }
+
+  /**
+   * Remove an event handler
+   * @param {string} type - Event name
+   * @param {Function} fn - Handler passed to on() or once()
+   */
+  off(type, fn) {
+    const handlers = this._handlers.get(type);
+    handlers?.forEach((handler) => {
+      if (handler === fn || handler.original === fn) handlers.delete(handler);
+    });
+  }
+
+  /**
+   * Notify handlers registered with on() and dispatch a `carousel:<type>`
+   * CustomEvent on the root. The prefix keeps names like `wheel` and
+   * `dragstart` clear of native events.
+   * @param {string} type - Event name
+   * @param {Object} [detail] - Event payload; `carousel` is added automatically
+   */
+  emit(type, detail = {}) {
+    const payload = { carousel: this, ...detail };
+
+    this._handlers.get(type)?.forEach((fn) => {
+      try {
+        fn(payload);
+      } catch (err) {
+        // A failing handler must not break the animation loop
+        console.error(err);
+      }
+    });
+
+    this.root.dispatchEvent(new CustomEvent(`carousel:${type}`, { detail: payload }));
+  }
+
+  /**
+   * Emit `change` when the centered card differs from the last one reported.
+   * Silent during the entry sequence; `ready` reports the initial card.
+   */
+  emitChange() {
+    const index = this.activeIndex;
+    const item = this.items[index];
+    const prev = this._reported;
+    if (this.isEntering || !item || (prev.slide === item.slide && prev.index === index)) return;
+
+    this._reported = { slide: item.slide, index };
+    this.emit('change', { index, previousIndex: prev.index, slide: item.slide });
+  }
+
+  /**
+   * Emit `scroll` when the position moved since the last frame, and `settle`
+   * once everything has come to rest; called from tick()
+   */
+  emitMotion() {
+    const moved = this.scrollX !== this._lastScrollX;
+    this._lastScrollX = this.scrollX;
+
+    if (moved) {
+      this._moving = true;
+      this.emit('scroll', {
+        progress: this.track ? this.scrollX / this.track : 0,
+        scrollX: this.scrollX,
+        velocity: this.vX,
+      });
+      return;
+    }
+
+    if (this._moving && !this.dragging && !this._nav && !this._snap && this.vX === 0) {
+      this._moving = false;
+      this.writeDeepLink(this.activeIndex);
+      this.emit('settle', { index: this.activeIndex, slide: this.items[this.activeIndex]?.slide });
+    }
+  }
+
+  /**
+   * Add an event listener that is automatically removed in destroy()
+   * @param {EventTarget} target
+   * @param {string} type
+   * @param {Function} fn
+   * @param {AddEventListenerOptions} [opts]
+   */
+  _on(target, type, fn, opts) {
+    target.addEventListener(type, fn, opts);
+    this._listeners.push([target, type, fn, opts]);
+  }
+
+  // ==========================================================================
+  // IMAGE PRELOADING
+  // ==========================================================================
+
+  /**
+   * Preload images using link tags for browser optimization
+   * @param {string[]} srcs - Array of image URLs
+   */
+  preloadImageLinks(srcs) {
+    if (!document.head) return;
+
+    srcs.forEach((href) => {
+      const link = document.createElement('link');
+      link.rel = 'preload';
+      link.as = 'image';
+      link.href = href;
+      link.fetchPriority = 'high';
+      document.head.appendChild(link);
+      this._preloadLinks.push(link);
+    });
+  }
+
+  /**
+   * Wait for all card images to finish loading
+   * @returns {Promise<void>}
+   */
+  waitForImages() {
+    const mounted = this.items.filter((it) => it.el);
+    return Promise.all(mounted.map((it) => waitForImage(cardImage(it.el))));
+  }
+
+  /**
+   * Decode all images to prevent jank during first interaction
+   * @returns {Promise<void>}
+   */
+  async decodeAllImages() {
+    const tasks = this.items.map((it) => {
+      const img = it.el && cardImage(it.el);
+      if (!img) return Promise.resolve();
+
+      if (typeof img.decode === 'function') {
+        return img.decode().catch(() => {});
+      }
+
+      return Promise.resolve();
+    });
+
+    await Promise.allSettled(tasks);
+  }
+
+  // ==========================================================================
+  // CAROUSEL SETUP
+  // ==========================================================================
+
+  /**
+   * Normalized slide list from the `slides` option, or `images` when unset
+   * @returns {Object[]}
+   */
+  resolveSlides() {
+    const source = this.options.slides || this.options.images;
+    return source.map(normalizeSlide);
+  }
+
+  /**
+   * Build the default card content: image, optional caption and link
+   * @param {Object} slide - Normalized slide
+   * @returns {DocumentFragment}
+   */
+  renderDefaultSlide(slide) {
+    const fragment = document.createDocumentFragment();
+
+    const img = new Image();
+    img.className = 'card__img';
+    img.setAttribute(IMAGE_ATTR, '');
+    img.alt = slide.alt;
+    if (slide.srcset) {
+      img.srcset = slide.srcset;
+      img.sizes = slide.sizes || 'min(26vw, 360px)';
+    }
+    img.src = slide.src;
+
+    let body = fragment;
+    if (slide.href) {
+      const link = document.createElement('a');
+      link.className = 'card__link';
+      link.href = slide.href;
+      link.draggable = false;
+      fragment.appendChild(link);
+      body = link;
+    }
+    body.appendChild(img);
+
+    if (slide.title || slide.subtitle) {
+      const caption = document.createElement('div');
+      caption.className = 'card__caption';
+
+      if (slide.title) {
+        const title = document.createElement('h2');
+        title.className = 'card__title';
+        title.textContent = slide.title;
+        caption.appendChild(title);
+      }
+
+      if (slide.subtitle) {
+        const subtitle = document.createElement('p');
+        subtitle.className = 'card__subtitle';
+        subtitle.textContent = slide.subtitle;
+        caption.appendChild(subtitle);
+      }
+
+      body.appendChild(caption);
+    }
+
+    return fragment;
+  }
+
+  /**
+   * Create a single card element for a slide
+   * @param {Object} slide - Normalized slide
+   * @param {number} i - Slide index
+   * @param {HTMLElement} [card] - Released card to fill instead of a new element
+   * @returns {HTMLElement}
+   */
+  buildCard(slide, i, card) {
+    if (card) {
+      card.replaceChildren();
+    } else {
+      card = document.createElement('article');
+      card.className = 'card';
+      card.style.willChange = 'transform'; // Force GPU compositing
+    }
+
+    const { renderSlide } = this.options;
+    if (renderSlide) {
+      const content = renderSlide(slide, i);
+      if (typeof content === 'string') card.innerHTML = content;
+      else if (content) card.appendChild(content);
+    } else {
+      card.appendChild(this.renderDefaultSlide(slide));
+    }
+
+    // Loading hints apply to whichever image the template produced
+    const img = cardImage(card);
+    if (img) {
+      img.decoding = 'async';
+      img.loading = 'eager';
+      img.fetchPriority = this.virtual ? 'auto' : 'high';
+      img.draggable = false;
+      if (!img.hasAttribute('alt')) img.alt = slide.alt;
+    }
+
+    return card;
+  }
+
+  /**
+   * Create card DOM elements from the slide list
+   */
+  createCards() {
+    this.cardsRoot.innerHTML = '';
+    this.items = [];
+    this._pool = [];
+    this._prefetched.clear();
+
+    const { virtualize } = this.options;
+    this.virtual = virtualize === 'auto' ? this.slides.length >= VIRTUALIZE_AUTO : virtualize;
+
+    const fragment = document.createDocumentFragment();
+
+    this.slides.forEach((slide, i) => {
+      const item = { el: null, slide, x: i * this.step };
+
+      // Virtualized: syncWindow() mounts cards; the first is needed to measure
+      if (!this.virtual || i === 0) {
+        item.el = this.buildCard(slide, i);
+        fragment.appendChild(item.el);
+      }
+      this.items.push(item);
+    });
+
+    this.cardsRoot.appendChild(fragment);
+    this.updateSlideLabels();
+  }
+
+  /**
+   * Measure card dimensions and calculate layout
+   */
+  measure() {
+    const sample = this.items.find((it) => it.el)?.el;
+    if (!sample) return;
+
+    const r = sample.getBoundingClientRect();
+    this.cardW = r.width || this.cardW;
+    this.cardH = r.height || this.cardH;
+
+    const vertical = this.layout.axis === 'y';
+    this.step = (vertical ? this.cardH : this.cardW) + this.options.gap;
+    this.viewHalf = (vertical
+      ? this.root.clientHeight || window.innerHeight
+      : this.root.clientWidth || window.innerWidth) * 0.5;
+    this.track = this.items.length * this.step;
+
+    // Set initial positions
+    this.items.forEach((it, i) => {
+      it.x = i * this.step;
+    });
+
+    this.positions = new Float32Array(this.items.length);
+  }
+
+  // ==========================================================================
+  // TRANSFORM CALCULATIONS
+  // ==========================================================================
+
+  /**
+   * Calculate a card's styles from the current layout and effect
+   * @param {number} pos - Card position relative to the viewport center
+   * @returns {{transform: string, z: number, opacity: number, blur: number, parallax: number}}
+   */
+  transformForPosition(pos) {
+    const { fn, params } = this.resolveEffect();
+    const f = this.layoutFrame();
+    f.norm = Math.max(-1, Math.min(1, pos / this.viewHalf));
+    f.pos = pos;
+    f.slot = pos / this.step;
+    f.params = params;
+
+    const place = this.layout.transform(pos, f);
+    const look = fn(f.norm, f) || {};
+
+    return {
+      transform: look.transform ? `${place.transform} ${look.transform}` : place.transform,
+      z: place.z + (look.z || 0),
+      opacity: look.opacity ?? 1,
+      blur: look.blur || 0,
+      parallax: look.parallax || 0,
+    };
+  }
+
+  /**
+   * Look up the effect for the `effect` option, merged with `effectOptions`.
+   * Switching effects updates `data-effect` on the root for stylesheets.
+   * @returns {{fn: Function, params: Object}}
+   */
+  resolveEffect() {
+    const { effect, effectOptions } = this.options;
+    const cached = this._effect;
+    if (cached && cached.key === effect && cached.overrides === effectOptions) return cached;
+
+    const { fn, defaults } = typeof effect === 'function'
+      ? { fn: effect, defaults: {} }
+      : EFFECTS.get(effect);
+
+    this._effect = { key: effect, overrides: effectOptions, fn, params: { ...defaults, ...effectOptions } };
+    this._setRootAttr('data-effect', typeof effect === 'string' ? effect : 'custom');
+    return this._effect;
+  }
+
+  /**
+   * Refresh the shared frame object passed to layout functions
+   * @returns {Object}
+   */
+  layoutFrame() {
+    const f = this._layoutFrame;
+    f.norm = 0;
+    f.half = this.viewHalf;
+    f.track = this.track;
+    f.step = this.step;
+    f.cardW = this.cardW;
+    f.cardH = this.cardH;
+    f.axis = this.layout.axis;
+    f.size = f.axis === 'y' ? this.cardH : this.cardW;
+    f.flat = this.isReducedMotion();
+    f.options = this.options;
+    return f;
+  }
+
+  /**
+   * Wrap a card's track position into the range around the viewport center
+   * @param {number} x - Card position on the track
+   * @returns {number} Position relative to the center, in [-TRACK/2, TRACK/2]
+   */
+  wrappedPosition(x) {
+    const half = this.track / 2;
+    let pos = x - this.scrollX;
+
+    // Wrap position to nearest equivalent position
+    if (pos < -half) pos += this.track;
+    if (pos > half) pos -= this.track;
+
+    return pos;
+  }
+
+  /**
+   * Update all card transforms based on current scroll position
+   */
+  updateCarouselTransforms() {
+    const { items, positions } = this;
+    let closestIdx = -1;
+    let closestDist = Infinity;
+
+    const r = this._rendered;
+    r.scrollX = this.scrollX;
+    r.track = this.track;
+    r.half = this.viewHalf;
+
+    // Calculate wrapped positions for infinite scroll
+    for (let i = 0; i < items.length; i++) {
+      const pos = this.wrappedPosition(items[i].x);
+      positions[i] = pos;
+
+      // Track closest card to center
+      const dist = Math.abs(pos);
+      if (dist < closestDist) {
+        closestDist = dist;
+        closestIdx = i;
+      }
+    }
+
+    this.syncWindow();
+
+    // Apply transforms to all cards
+    for (let i = 0; i < items.length; i++) {
+      const it = items[i];
+      if (!it.el) continue;
+
+      const { transform, z, opacity, blur, parallax } = this.transformForPosition(positions[i]);
+
+      // Lowered quality drops the blur
+      const filter = blur && this.quality < 2 ? `blur(${blur.toFixed(2)}px)` : 'none';
+
+      this.writeCardStyle(it.el, {
+        transform,
+        zIndex: String(1000 + Math.round(z)), // Higher z-index for cards in front
+        filter,
+        opacity: opacity < 1 ? opacity.toFixed(3) : '',
+      });
+
+      if (parallax || this._parallaxed.has(it.el)) this.writeParallax(it.el, parallax);
+    }
+
+    // Update gradient if active card changed
+    if (closestIdx !== this.activeIndex) {
+      this.setActiveGradient(closestIdx);
+      this.syncActiveSlide();
+      this.emitChange();
+    }
+  }
+
+  /**
+   * Offset a card's image inside the card, or clear the offset
+   * @param {HTMLElement} card
+   * @param {number} offset - Pixels along the layout axis, 0 to clear
+   */
+  writeParallax(card, offset) {
+    const img = cardImage(card);
+    if (img) {
+      this.writeCardStyle(img, {
+        transform: offset ? `${shiftTransform(this.layout.axis, offset)} scale(${PARALLAX_ZOOM})` : '',
+      });
+    }
+
+    if (offset) this._parallaxed.add(card);
+    else this._parallaxed.delete(card);
+  }
+
+  /**
+   * Write inline styles to a card, skipping values it already has
+   * @param {HTMLElement} el - Card element
+   * @param {Object<string, string>} styles - e.g. `{ transform, zIndex, filter }`
+   */
+  writeCardStyle(el, styles) {
+    let written = this._styleCache.get(el);
+    if (!written) {
+      written = {};
+      this._styleCache.set(el, written);
+    }
+
+    for (const prop in styles) {
+      if (written[prop] === styles[prop]) continue;
+      written[prop] = styles[prop];
+      el.style[prop] = styles[prop];
+    }
+  }
+
+  // ==========================================================================
+  // VIRTUALIZATION
+  // ==========================================================================
+
+  /**
+   * Virtualized mode: mount cards near the viewport, release the others and
+   * prefetch images for the next `lookahead` cards on either side. Runs
+   * with fresh `positions`, so the window follows the wrapped track.
+   */
+  syncWindow() {
+    if (!this.virtual) return;
+
+    const { items, positions, options } = this;
+    const size = this.layout.axis === 'y' ? this.cardH : this.cardW;
+    const visible = this.layout.reach?.(this.layoutFrame()) ?? this.viewHalf + size;
+    const reach = visible + this.step * options.virtualBuffer;
+    const prefetchReach = reach + this.step * options.lookahead;
+    const focused = document.activeElement;
+    const entering = [];
+
+    // Release first, so entering cards can reuse the elements
+    for (let i = 0; i < items.length; i++) {
+      const it = items[i];
+      const dist = Math.abs(positions[i]);
+
+      if (dist <= reach) {
+        if (!it.el) entering.push(i);
+      } else {
+        // Keep the focused card until focus moves on
+        if (it.el && !it.el.contains(focused)) this.releaseCard(it);
+        if (dist <= prefetchReach) this.prefetchSlide(it.slide);
+      }
+    }
+
+    entering.forEach((i) => this.mountCard(items[i], i));
+  }
+
+  /**
+   * Give an item a card element, reusing a released one when possible
+   * @param {Object} item - Item from `this.items`
+   * @param {number} i - Its index
+   */
+  mountCard(item, i) {
+    const card = this.buildCard(item.slide, i, this._pool.pop());
+    item.el = card;
+    this.cardsRoot.appendChild(card);
+    this.labelCard(card, i);
+    this.setSlideInteractive(card, i === this.activeIndex);
+
+    // Palettes are computed on demand, once a card is in the DOM
+    if (!this.gradPalette[i] && !this.isEntering) this.loadPalette(item);
+  }
+
+  /**
+   * Detach an item's card and keep the element for reuse
+   * @param {Object} item - Item from `this.items`
+   */
+  releaseCard(item) {
+    const card = item.el;
+    item.el = null;
+    card.remove();
+    card.replaceChildren();
+    if (this._ariaActive === card) this._ariaActive = null;
+    this._pool.push(card);
+  }
+
+  /**
+   * Start loading a slide's image ahead of its card being mounted
+   * @param {Object} slide - Normalized slide
+   */
+  prefetchSlide(slide) {
+    if (!slide.src || this._prefetched.has(slide.src)) return;
+    this._prefetched.add(slide.src);
+
+    const img = new Image();
+    img.decoding = 'async';
+    img.fetchPriority = 'low';
+    if (slide.srcset) {
+      img.srcset = slide.srcset;
+      img.sizes = slide.sizes || 'min(26vw, 360px)';
+    }
+    img.src = slide.src;
+  }
+
+  // ==========================================================================
+  // FRAME SCHEDULING
+  // ==========================================================================
+
+  /**
+   * The single animation frame: tweens, carousel physics and the background.
+   * Schedules the next frame only while something still moves; otherwise the
+   * loop sleeps until wake().
+   * @param {number} t - Current timestamp
+   */
+  frame(t) {
+    const f = this._frame;
+    f.raf = null;
+    if (this.destroyed) return;
+
+    f.inFrame = true;
+    f.woken = false;
+    this.measureFrame(t);
+    this.stepTweens(t);
+
+    const moving = f.carousel && this.tick(t);
+    const drawing = f.background && this.drawBackground(t, moving || this._tweens.size > 0);
+    f.inFrame = false;
+
+    if (f.hidden) return;
+    if (moving || f.woken || this._tweens.size > 0) {
+      f.raf = requestAnimationFrame(this.frame);
+    } else if (drawing) {
+      // Only the background animates: run the next frame when it is due
+      // rather than on every display refresh
+      f.timer = setTimeout(() => {
+        f.timer = null;
+        // The wait is not a slow frame
+        this._perf.last = 0;
+        this.frame(performance.now());
+      }, Math.max(0, Math.ceil(f.bgDue - performance.now())));
+    }
+  }
+
+  /**
+   * Schedule a frame if the loop is asleep. Call after anything that needs
+   * rendering: input, navigation, option and palette changes.
+   */
+  wake() {
+    const f = this._frame;
+    f.bgDirty = true;
+    if (f.inFrame) {
+      f.woken = true;
+      return;
+    }
+    if (f.raf || f.hidden || this.destroyed) return;
+
+    // Render now instead of at the next background-only frame
+    clearTimeout(f.timer);
+    f.timer = null;
+
+    // Time spent asleep is not a frame
+    this.lastTime = 0;
+    this._perf.last = 0;
+    f.raf = requestAnimationFrame(this.frame);
+  }
+
+  /**
+   * Cancel the pending frame
+   */
+  sleep() {
+    const f = this._frame;
+    if (f.raf) cancelAnimationFrame(f.raf);
+    f.raf = null;
+    clearTimeout(f.timer);
+    f.timer = null;
+  }
+
+  /**
+   * Advance carousel physics and autoplay, then render the cards
+   * @param {number} t - Current timestamp
+   * @returns {boolean} Whether another frame is needed
+   */
+  tick(t) {
+    const dt = this.lastTime ? (t - this.lastTime) / 1000 : 0;
+    this.lastTime = t;
+
+    this.stepAutoplay(t, dt);
+
+    if (this._nav) {
+      // Programmatic navigation overrides momentum
+      this.stepNavigation(t);
+    } else if (this._snap) {
+      // Spring toward the snap target
+      this.stepSnap(dt);
+    } else {
+      // Apply velocity to scroll position
+      this.scrollX = mod(this.scrollX + this.vX * dt, this.track);
+
+      // Continuous autoplay drifts at a constant speed on top of momentum
+      const drifting = this.autoplayDrift();
+      if (drifting) this.scrollX = mod(this.scrollX + drifting * dt, this.track);
+
+      // Apply friction to velocity
+      const decay = Math.pow(this.options.friction, dt * 60);
+      this.vX *= decay;
+      if (Math.abs(this.vX) < 0.02) this.vX = 0;
+
+      // Settle onto the nearest card once momentum runs out
+      if (
+        this.options.scrollMode === 'snap' &&
+        !this.dragging &&
+        !this.wheelActive(t) &&
+        !drifting &&
+        Math.abs(this.vX) < this.options.snapThreshold
+      ) {
+        this.startSnap(this.closestIndex());
+      }
+    }
+
+    // Cards only need rendering when the position moved; layout, option and
+    // quality changes render them directly
+    const r = this._rendered;
+    if (this.scrollX !== r.scrollX || this.track !== r.track || this.viewHalf !== r.half) {
+      this.updateCarouselTransforms();
+    }
+    this.emitMotion();
+
+    const ap = this._autoplay;
+    return (
+      this.dragging ||
+      this.wheelActive(t) ||
+      this.vX !== 0 ||
+      Boolean(this._nav || this._snap) ||
+      this._moving || // `settle` still to be emitted
+      ap.running ||
+      (this.options.autoplay && ap.reasons.size === 0)
+    );
+  }
+
+  /**
+   * Enable carousel physics
+   */
+  startCarousel() {
+    this._frame.carousel = true;
+    this.updateCarouselTransforms();
+    this.wake();
+  }
+
+  /**
+   * Disable carousel physics
+   */
+  cancelCarousel() {
+    this._frame.carousel = false;
+  }
+
+  // ==========================================================================
+  // ADAPTIVE QUALITY
+  // ==========================================================================
+
+  /**
+   * Track frame times and step quality down after a stretch of frames over
+   * budget, or back up after a longer stretch well under it
+   * @param {number} t - Current timestamp
+   */
+  measureFrame(t) {
+    const perf = this._perf;
+    const dt = perf.last ? t - perf.last : 0;
+    perf.last = t;
+
+    // Ignore the first frame after sleeping and long stalls (tab switches)
+    if (!this.options.adaptiveQuality || !dt || dt > 250) return;
+
+    // Displays slower than the budget are not a reason to degrade
+    perf.refresh = Math.min(perf.refresh, dt);
+    const budget = Math.max(this.options.frameBudget, perf.refresh * 1.25);
+
+    perf.avg = perf.avg ? perf.avg * 0.9 + dt * 0.1 : dt;
+    perf.slow = perf.avg > budget ? perf.slow + dt : 0;
+    perf.fast = perf.avg < budget * 0.7 ? perf.fast + dt : 0;
+
+    if (perf.slow > DEGRADE_AFTER && this.quality < MAX_QUALITY_LEVEL) {
+      this.setQuality(this.quality + 1);
+    } else if (perf.fast > RECOVER_AFTER && this.quality > 0) {
+      this.setQuality(this.quality - 1);
+    }
+  }
+
+  /**
+   * Apply a quality level and emit `quality`
+   * @param {number} level - 0 (full) to MAX_QUALITY_LEVEL
+   */
+  setQuality(level) {
+    const perf = this._perf;
+    perf.avg = 0;
+    perf.slow = 0;
+    perf.fast = 0;
+    if (level === this.quality) return;
+
+    this.quality = level;
+    this.resizeBG();
+    this.updateCarouselTransforms();
+    this.wake();
+    this.emit('quality', { level });
+  }
+
+  // ==========================================================================
+  // TWEENS
+  // ==========================================================================
+
+  /**
+   * Animate a value from 0 to 1. Tweens run in frame(), which renders the
+   * background at full rate while any tween is active.
+   * @param {Object} opts
+   * @param {number} opts.duration - Seconds
+   * @param {number} [opts.delay=0] - Seconds before the tween starts
+   * @param {Function} [opts.ease=EASINGS.linear] - Function of t in [0, 1]
+   * @param {Function} opts.onUpdate - Called with the eased progress every frame
+   * @param {string} [opts.key] - Starting a tween with the same key cancels the old one
+   * @returns {Promise<boolean>} Resolves with true when finished, false if cancelled
+   */
+  tween({ duration, delay = 0, ease = EASINGS.linear, onUpdate, key }) {
+    if (key) this.cancelTweens((tw) => tw.key === key);
+
+    return new Promise((resolve) => {
+      this._tweens.add({ duration, delay, ease, onUpdate, key, resolve, start: null });
+      this.wake();
+    });
+  }
+
+  /**
+   * Advance all tweens
+   * @param {number} now - Frame timestamp
+   */
+  stepTweens(now) {
+    this._tweens.forEach((tw) => {
+      if (tw.start === null) tw.start = now + tw.delay * 1000;
+      if (now < tw.start) return;
+
+      const p = tw.duration > 0 ? Math.min(1, (now - tw.start) / (tw.duration * 1000)) : 1;
+      tw.onUpdate(tw.ease(p));
+
+      if (p >= 1) {
+        this._tweens.delete(tw);
+        tw.resolve(true);
+      }
+    });
+  }
+
+  /**
+   * Stop tweens without finishing them
+   * @param {Function} [filter] - Only cancel tweens it returns true for
+   */
+  cancelTweens(filter = () => true) {
+    this._tweens.forEach((tw) => {
+      if (!filter(tw)) return;
+      this._tweens.delete(tw);
+      tw.resolve(false);
+    });
+  }
+
+  // ==========================================================================
+  // NAVIGATION
+  // ==========================================================================
+
+  /**
+   * Animate to a slide along the shortest path around the track
+   * @param {number} index - Slide index
+   * @param {Object} [opts]
+   * @param {number} [opts.duration=0.6] - Duration in seconds, 0 jumps instantly
+   * @param {string|Function} [opts.easing='easeOutCubic'] - Name from EASINGS or a function of t in [0, 1]
+   * @returns {Promise<boolean>} Resolves with true on arrival, false if interrupted
+   */
+  async goTo(index, { duration = 0.6, easing = 'easeOutCubic' } = {}) {
+    this._checkIndex(index, this.items.length - 1, 'index');
+    if (typeof duration !== 'number' || !(duration >= 0)) {
+      throw new RangeError(`GradientCarousel: "duration" must be a number ≥ 0, got ${duration}`);
+    }
+    const ease = typeof easing === 'function' ? easing : EASINGS[easing];
+    if (!ease) {
+      throw new TypeError(`GradientCarousel: unknown easing "${easing}"`);
+    }
+
+    if (this.isEntering) await this.ready;
+    if (this.destroyed || index >= this.items.length) return false;
+    if (this.isReducedMotion()) duration = 0;
+
+    this.cancelNavigation();
+    this.cancelSnap();
+    this.vX = 0;
+
+    // Shortest signed distance to the target on the wrapped track
+    const delta = this.distanceTo(index);
+
+    if (duration === 0 || delta === 0) {
+      this.scrollX = mod(this.scrollX + delta, this.track);
+      this.updateCarouselTransforms();
+      this.wake();
+      return true;
+    }
+
+    this.wake();
+    return new Promise((resolve) => {
+      this._nav = {
+        index,
+        from: this.scrollX,
+        delta,
+        duration: duration * 1000,
+        ease,
+        start: 0,
+        resolve,
+      };
+    });
+  }
+
+  /**
+   * Go to the next slide
+   * @param {Object} [opts] - See goTo()
+   * @returns {Promise<boolean>}
+   */
+  next(opts) {
+    return this.goTo(mod(this.navigationIndex() + 1, this.items.length), opts);
+  }
+
+  /**
+   * Go to the previous slide
+   * @param {Object} [opts] - See goTo()
+   * @returns {Promise<boolean>}
+   */
+  prev(opts) {
+    return this.goTo(mod(this.navigationIndex() - 1, this.items.length), opts);
+  }
+
+  /**
+   * Slide the carousel is at or heading to, so repeated next() calls
+   * keep advancing while an animation is running
+   * @returns {number}
+   */
+  navigationIndex() {
+    if (this._nav) return this._nav.index;
+    return Math.max(0, this.activeIndex);
+  }
+
+  /**
+   * Advance the running goTo() animation; called from tick()
+   * @param {number} t - Current timestamp
+   */
+  stepNavigation(t) {
+    const nav = this._nav;
+    if (!nav.start) nav.start = t;
+
+    const p = Math.min(1, (t - nav.start) / nav.duration);
+    this.scrollX = mod(nav.from + nav.delta * nav.ease(p), this.track);
+
+    if (p >= 1) {
+      this._nav = null;
+      nav.resolve(true);
+    }
+  }
+
+  /**
+   * Stop a running goTo() animation where it is
+   */
+  cancelNavigation() {
+    if (!this._nav) return;
+    const { resolve } = this._nav;
+    this._nav = null;
+    resolve(false);
+  }
+
+  // ==========================================================================
+  // SNAPPING
+  // ==========================================================================
+
+  /**
+   * Index of the card closest to the center
+   * @returns {number}
+   */
+  closestIndex() {
+    let closestIdx = 0;
+    let closestDist = Infinity;
+
+    for (let i = 0; i < this.items.length; i++) {
+      const d = Math.abs(this.wrappedPosition(this.items[i].x));
+      if (d < closestDist) {
+        closestDist = d;
+        closestIdx = i;
+      }
+    }
+
+    return closestIdx;
+  }
+
+  /**
+   * Shortest signed distance from the current scroll position to a card
+   * @param {number} index - Slide index
+   * @returns {number}
+   */
+  distanceTo(index) {
+    const half = this.track / 2;
+    return mod(this.items[index].x - this.scrollX + half, this.track) - half;
+  }
+
+  /**
+   * Start springing toward a card. No-op if it is already centered and still.
+   * @param {number} index - Slide index
+   */
+  startSnap(index) {
+    if (Math.abs(this.distanceTo(index)) < 0.5 && Math.abs(this.vX) < 1) return;
+
+    // Reduced motion lands on the card without the spring
+    if (this.isReducedMotion()) {
+      this.scrollX = this.items[index].x;
+      this.vX = 0;
+      return;
+    }
+
+    this._snap = { index };
+  }
+
+  /**
+   * Advance the snap spring; called from tick()
+   * @param {number} dt - Frame time in seconds
+   */
+  stepSnap(dt) {
+    const { snapStiffness, snapDamping } = this.options;
+    const d = this.distanceTo(this._snap.index);
+
+    // Damped spring: a = k·x − c·v (semi-implicit Euler)
+    this.vX += (snapStiffness * d - snapDamping * this.vX) * dt;
+    this.scrollX = mod(this.scrollX + this.vX * dt, this.track);
+
+    if (Math.abs(d) < 0.5 && Math.abs(this.vX) < 5) {
+      this.scrollX = this.items[this._snap.index].x;
+      this.vX = 0;
+      this._snap = null;
+    }
+  }
+
+  /**
+   * Stop the snap spring, keeping the current velocity
+   */
+  cancelSnap() {
+    this._snap = null;
+  }
+
+  /**
+   * Target for a flick: the nearest card plus a number of cards derived
+   * from the release velocity
+   * @param {number} velocity - Release velocity in px/s (positive = forward)
+   * @returns {number} Slide index
+   */
+  flickTarget(velocity) {
+    const { flickStrength, maxFlickCards } = this.options;
+    const projected = (velocity * flickStrength) / this.step;
+    const cards = Math.max(-maxFlickCards, Math.min(maxFlickCards, Math.round(projected)));
+    return mod(this.closestIndex() + cards, this.items.length);
+  }
+
+  // ==========================================================================
+  // AUTOPLAY
+  // ==========================================================================
+
+  /**
+   * Start autoplay (same as `setOptions({ autoplay: true })`)
+   */
+  play() {
+    this.setOptions({ autoplay: true });
+  }
+
+  /**
+   * Stop autoplay (same as `setOptions({ autoplay: false })`)
+   */
+  pause() {
+    this.setOptions({ autoplay: false });
+  }
+
+  /**
+   * Whether autoplay is enabled and nothing is currently holding it
+   * @param {number} [now] - Current timestamp
+   * @returns {boolean}
+   */
+  isAutoplaying(now = performance.now()) {
+    const ap = this._autoplay;
+    return (
+      this.options.autoplay &&
+      !this.isEntering &&
+      ap.reasons.size === 0 &&
+      now >= ap.resumeAt &&
+      // Constant drift is motion users asked to avoid
+      !(this.options.autoplayMode === 'continuous' && this.isReducedMotion())
+    );
+  }
+
+  /**
+   * Add or remove a pause reason. Releasing the last reason waits for the
+   * resume delay before autoplay continues.
+   * @param {string} reason - e.g. 'hover', 'focus', 'drag', 'hidden'
+   * @param {boolean} held
+   */
+  holdAutoplay(reason, held) {
+    const { reasons } = this._autoplay;
+    if (held) {
+      reasons.add(reason);
+    } else if (reasons.delete(reason)) {
+      this.deferAutoplay();
+    }
+    this.wake();
+  }
+
+  /**
+   * Restart the idle delay after a user interaction
+   */
+  deferAutoplay() {
+    this._autoplay.elapsed = 0;
+    this._autoplay.resumeAt = performance.now() + this.options.autoplayResumeDelay * 1000;
+  }
+
+  /**
+   * Velocity contributed by continuous autoplay, 0 when not drifting
+   * @returns {number} Pixels per second
+   */
+  autoplayDrift() {
+    const { autoplayMode, autoplayDirection, autoplaySpeed } = this.options;
+    if (autoplayMode !== 'continuous' || !this._autoplay.running) return 0;
+    return autoplayDirection === 'backward' ? -autoplaySpeed : autoplaySpeed;
+  }
+
+  /**
+   * Advance autoplay and report progress; called from tick()
+   * @param {number} t - Current timestamp
+   * @param {number} dt - Frame time in seconds
+   */
+  stepAutoplay(t, dt) {
+    const ap = this._autoplay;
+    const running = this.isAutoplaying(t);
+
+    // Report pause/resume transitions once
+    if (running !== ap.running) {
+      ap.running = running;
+      this.status.setAttribute('aria-live', running ? 'off' : 'polite');
+      if (this.options.autoplay) this.emitAutoplayProgress();
+    }
+    if (!running) return;
+
+    if (this.options.autoplayMode === 'continuous') {
+      this.emitAutoplayProgress();
+      return;
+    }
+
+    // Step mode: wait while a goTo() is still travelling
+    if (this._nav) return;
+
+    ap.elapsed += dt;
+    if (ap.elapsed >= this.options.autoplayInterval) {
+      ap.elapsed = 0;
+      if (this.options.autoplayDirection === 'backward') this.prev();
+      else this.next();
+    }
+    this.emitAutoplayProgress();
+  }
+
+  /**
+   * Dispatch `autoplay:progress`. In step mode `progress` is the fraction of
+   * the interval elapsed; in continuous mode the position around the loop.
+   */
+  emitAutoplayProgress() {
+    const ap = this._autoplay;
+    const progress = this.options.autoplayMode === 'continuous'
+      ? (this.track ? this.scrollX / this.track : 0)
+      : Math.min(1, ap.elapsed / this.options.autoplayInterval);
+
+    this.emit('autoplay:progress', {
+      progress,
+      mode: this.options.autoplayMode,
+      paused: !ap.running,
+      index: this.activeIndex,
+    });
+  }
+
+  // ==========================================================================
+  // REDUCED MOTION
+  // ==========================================================================
+
+  /**
+   * Whether motion should be reduced, from the option or the media query
+   * @returns {boolean}
+   */
+  isReducedMotion() {
+    const { reducedMotion } = this.options;
+    if (reducedMotion !== 'auto') return reducedMotion;
+    return !!this._motionQuery?.matches;
+  }
+
+  /**
+   * Re-apply transforms and stop running motion after the preference changed
+   */
+  applyMotionPreference() {
+    const reduced = this.isReducedMotion();
+    this.root.classList.toggle('reduced-motion', reduced);
+
+    if (reduced) {
+      this.vX = 0;
+      if (this._snap) this.startSnap(this._snap.index);
+      this._snap = null;
+    }
+    this.updateCarouselTransforms();
+    this.wake();
+  }
+
+  // ==========================================================================
+  // ACCESSIBILITY
+  // ==========================================================================
+
+  /**
+   * Give every mounted card the slide role and its "n of total" label
+   */
+  updateSlideLabels() {
+    this.items.forEach((it, i) => {
+      if (it.el) this.labelCard(it.el, i);
+    });
+  }
+
+  /**
+   * Label one card
+   * @param {HTMLElement} card
+   * @param {number} i - Slide index
+   */
+  labelCard(card, i) {
+    card.setAttribute('role', 'group');
+    card.setAttribute('aria-roledescription', 'slide');
+    card.setAttribute('aria-label', `${i + 1} of ${this.items.length}`);
+  }
+
+  /**
+   * Expose only the active card to assistive technology and the tab order,
+   * move focus along with it and announce it
+   */
+  syncActiveSlide() {
+    const active = this.items[this.activeIndex]?.el || null;
+    if (active === this._ariaActive) return;
+
+    // Keep keyboard focus on the centered card
+    const hadFocus = this.cardsRoot.contains(document.activeElement);
+
+    this.items.forEach((it) => {
+      if (it.el) this.setSlideInteractive(it.el, it.el === active);
+    });
+    this._ariaActive = active;
+
+    if (!active) return;
+    if (hadFocus) active.focus({ preventScroll: true });
+
+    clearTimeout(this._announceTimer);
+    this._announceTimer = setTimeout(() => {
+      const { slide } = this.items[this.activeIndex] || {};
+      const name = slide?.title || slide?.alt;
+      const position = active.getAttribute('aria-label');
+      this.status.textContent = name ? `${position}: ${name}` : position;
+    }, ANNOUNCE_DELAY);
+  }
+
+  /**
+   * Toggle a card between the active (focusable, exposed) and inactive state
+   * @param {HTMLElement} card
+   * @param {boolean} active
+   */
+  setSlideInteractive(card, active) {
+    card.tabIndex = active ? 0 : -1;
+    if (active) card.removeAttribute('aria-hidden');
+    else card.setAttribute('aria-hidden', 'true');
+
+    card.querySelectorAll(FOCUSABLE).forEach((el) => {
+      if (active) {
+        // Restore the author's tabindex, if any
+        if ('gcTabindex' in el.dataset) {
+          const prev = el.dataset.gcTabindex;
+          if (prev) el.setAttribute('tabindex', prev);
+          else el.removeAttribute('tabindex');
+          delete el.dataset.gcTabindex;
+        }
+      } else if (!('gcTabindex' in el.dataset)) {
+        el.dataset.gcTabindex = el.getAttribute('tabindex') || '';
+        el.setAttribute('tabindex', '-1');
+      }
+    });
+  }
+
+  // ==========================================================================
+  // PALETTE
+  // ==========================================================================
+
+  /**
+   * Extraction settings from the options
+   * @returns {{method: string, size: number}}
+   */
+  paletteOptions() {
+    return { method: this.options.paletteMethod, size: this.options.paletteSize };
+  }
+
+  /**
+   * Extract colors for all cards, nearest to the centered card first.
+   * Palettes arrive one by one through the `palette` event; cards without
+   * one yet use a neutral gradient.
+   * @param {Object} [opts]
+   * @param {boolean} [opts.reset=true] - Drop existing palettes first
+   * @param {boolean} [opts.refresh=true] - Recompute cards that already have a palette
+   * @returns {Promise<void>} Resolves when every card has a palette
+   */
+  async buildPalette({ reset = true, refresh = true } = {}) {
+    const gen = ++this._paletteGen;
+    if (reset) this.gradPalette = this.items.map(() => null);
+
+    // Virtualized: unmounted cards are computed again once mounted
+    if (this.virtual && refresh) {
+      this.items.forEach((it, i) => {
+        if (!it.el) this.gradPalette[i] = null;
+      });
+    }
+
+    for (const item of this.paletteOrder()) {
+      if (this.destroyed || gen !== this._paletteGen) return;
+      if (!refresh && this.gradPalette[this.items.indexOf(item)]) continue;
+      await this.loadPalette(item);
+    }
+
+    if (!this.destroyed && gen === this._paletteGen) {
+      this.emit('palette', { palette: this.gradPalette, index: null });
+    }
+  }
+
+  /**
+   * Items ordered by wrapped distance from the centered card. Virtualized
+   * carousels only include mounted cards.
+   * @returns {Array}
+   */
+  paletteOrder() {
+    const n = this.items.length;
+    const center = Math.max(0, this.activeIndex >= 0 ? this.activeIndex : this.closestIndex());
+    return this.items
+      .map((item, i) => {
+        const d = Math.abs(i - center);
+        return { item, d: Math.min(d, n - d) };
+      })
+      .filter(({ item }) => item.el)
+      .sort((a, b) => a.d - b.d)
+      .map(({ item }) => item);
+  }
+
+  /**
+   * Compute (or fetch from cache) the palette of one card and store it.
+   * Unmounted cards are skipped; they load when mounted.
+   * @param {Object} item - Item from `this.items`
+   * @returns {Promise<void>}
+   */
+  async loadPalette(item) {
+    if (!item.el) return;
+    const { slide } = item;
+    const img = cardImage(item.el);
+    await waitForImage(img);
+
+    const palette = await this.computePalette(img, this.items.indexOf(item), slide);
+
+    // The slide may have moved, changed or disappeared meanwhile
+    const idx = this.items.indexOf(item);
+    if (this.destroyed || idx < 0 || item.slide !== slide) return;
+
+    this.gradPalette[idx] = palette;
+    this.emit('palette', { palette: this.gradPalette, index: idx });
+    if (idx === this.activeIndex) {
+      this.activeIndex = -1;
+      this.setActiveGradient(idx);
+    }
+  }
+
+  /**
+   * Palettes from the `paletteManifest` option, loaded once per value
+   * @returns {Promise<Map<string, Object>|null>}
+   */
+  loadManifest() {
+    const source = this.options.paletteManifest;
+    if (!source) return Promise.resolve(null);
+
+    if (this._manifest?.source !== source) {
+      this._manifest = { source, map: readManifest(source) };
+    }
+    return this._manifest.map;
+  }
+
+  /**
+   * Palette for an image: the manifest, IndexedDB cache, then the worker,
+   * then the main thread when no worker is available
+   * @param {HTMLImageElement|null} img - Loaded image
+   * @param {number} idx - Card index (for fallback)
+   * @param {Object} [slide] - The card's slide, whose `src` keys the manifest
+   * @returns {Promise<Object>}
+   */
+  async computePalette(img, idx, slide) {
+    if (!img) return fallbackFromIndex(idx);
+
+    // Precomputed palettes also cover cross-origin images that cannot be read.
+    // The manifest lists `src`; with a srcset, currentSrc is whichever
+    // candidate the browser picked, so it only serves as a second key.
+    const manifest = await this.loadManifest();
+    if (manifest) {
+      const keys = [slide?.src, img.currentSrc, img.src].filter(Boolean);
+      const listed = keys.map((src) => manifest.get(new URL(src, location.href).href)).find(Boolean);
+      if (listed) return listed;
+    }
+
+    if (!img.naturalWidth) return fallbackFromIndex(idx);
+
+    const opts = this.paletteOptions();
+    const { paletteWorker, paletteCache } = this.options;
+    const useWorker = Boolean(paletteWorker) && canUseWorker();
+    // The worker and the canvas downscale with different kernels, so each
+    // path caches its own result
+    const cacheKey = (path) =>
+      `${PALETTE_VERSION}:${path}:${opts.method}:${opts.size}:${img.currentSrc || img.src}`;
+
+    if (paletteCache) {
+      const cached = await readCachedPalette(cacheKey(useWorker ? 'worker' : 'main'));
+      if (cached) return cached;
+    }
+
+    let palette;
+    let extracted = false;
+    if (useWorker) {
+      const url = typeof paletteWorker === 'string'
+        ? new URL(paletteWorker, location.href).href
+        : new URL('palette-worker.js', SCRIPT_URL).href;
+      try {
+        palette = await extractInWorker(url, img, opts);
+        extracted = true;
+      } catch {
+        // Worker unavailable: fall through to the main thread
+      }
+    }
+
+    if (!extracted) {
+      palette = await whenIdle(() => {
+        try {
+          return extractPalette(readPixels(img), opts);
+        } catch {
+          return null;
+        }
+      });
+    }
+
+    // Unreadable or empty images get index-based colors, which are not cached
+    if (!palette) return fallbackFromIndex(idx);
+    if (paletteCache) writeCachedPalette(cacheKey(extracted ? 'worker' : 'main'), palette);
+    return palette;
+  }
+
+  /**
+   * Extracted colors of a slide
+   * @param {number} index - Slide index
+   * @returns {Object|null} Palette with `c1`, `c2`, `swatches` and `roles`, or null until known
+   */
+  getPalette(index) {
+    return this.gradPalette[index] || null;
+  }
+
+  /**
+   * Set the active gradient based on the centered card
+   * @param {number} idx - Card index
+   */
+  setActiveGradient(idx) {
+    if (idx < 0 || idx >= this.items.length || idx === this.activeIndex) return;
+
+    // Track the active card even without a background to paint it on
+    this.activeIndex = idx;
+    if (!this.bgCtx) return;
+
+    const pal = this.gradPalette[idx] || { c1: [240, 240, 240], c2: [235, 235, 235] };
+    const { gradCurrent: g, options } = this;
+    const from = [[g.r1, g.g1, g.b1], [g.r2, g.g2, g.b2]];
+    const apply = (c1, c2) => {
+      [g.r1, g.g1, g.b1] = c1;
+      [g.r2, g.g2, g.b2] = c2;
+    };
+
+    if (!options.gradientDuration) {
+      this.cancelTweens((tw) => tw.key === 'gradient');
+      apply(pal.c1, pal.c2);
+      this.wake();
+      return;
+    }
+
+    // Blend perceptually, so hue changes don't pass through muddy grays
+    this.tween({
+      key: 'gradient',
+      duration: options.gradientDuration,
+      ease: EASINGS.easeOutCubic,
+      onUpdate: (t) => {
+        const space = this.options.gradientInterpolation;
+        apply(mixColors(from[0], pal.c1, t, space), mixColors(from[1], pal.c2, t, space));
+      },
+    });
+  }
+
+  // ==========================================================================
+  // BACKGROUND RENDERING
+  // ==========================================================================
+
+  /**
+   * Resize background canvas to match its element size
+   */
+  resizeBG() {
+    const { bgCanvas, bgCtx } = this;
+    if (!bgCtx) return;
+
+    // Lowered quality renders the (blurred anyway) background at 1x
+    const maxDpr = this.quality >= 1 ? 1 : 2;
+    const dpr = Math.max(1, Math.min(maxDpr, window.devicePixelRatio || 1));
+    const w = bgCanvas.clientWidth || this.root.clientWidth;
+    const h = bgCanvas.clientHeight || this.root.clientHeight;
+    const tw = Math.floor(w * dpr);
+    const th = Math.floor(h * dpr);
+
+    if (bgCanvas.width !== tw || bgCanvas.height !== th) {
+      bgCanvas.width = tw;
+      bgCanvas.height = th;
+      bgCtx.setTransform(dpr, 0, 0, dpr, 0, 0);
+    }
+  }
+
+  /**
+   * Render animated gradient background, throttled to 60fps while something
+   * moves and 30fps otherwise (halved again at the lowest quality)
+   * @param {number} now - Current timestamp
+   * @param {boolean} moving - Whether cards or colors are animating
+   * @returns {boolean} Whether another frame is needed
+   */
+  drawBackground(now, moving) {
+    const { bgCanvas, bgCtx, gradCurrent } = this;
+    if (!bgCtx) return false;
+
+    const reducedMotion = this.isReducedMotion();
+    let minInterval = moving ? 16 : 33;
+    if (this.quality >= 3) minInterval *= 2;
+
+    // Static backgrounds (reduced motion) only redraw when something changed
+    const needed = !reducedMotion || this._frame.bgDirty;
+    if (!needed) return false;
+    if (now - this.lastBgDraw < minInterval) return true;
+
+    this.lastBgDraw = now;
+    this._frame.bgDue = now + minInterval;
+    this._frame.bgDirty = false;
+    this.resizeBG();
+
+    const renderer = this.resolveRenderer();
+    const c1 = [gradCurrent.r1, gradCurrent.g1, gradCurrent.b1];
+    const c2 = [gradCurrent.r2, gradCurrent.g2, gradCurrent.b2];
+    const active = this.items[this.activeIndex];
+    const pal = this.gradPalette[this.activeIndex];
+
+    renderer.draw(bgCtx, {
+      width: bgCanvas.clientWidth || this.root.clientWidth,
+      height: bgCanvas.clientHeight || this.root.clientHeight,
+      time: reducedMotion ? 0 : now / 1000, // Static under reduced motion
+      palette: { c1, c2 },
+      colors: [c1, c2],
+      swatches: pal?.swatches || [],
+      roles: pal?.roles || null,
+      base: BG_BASE,
+      image: active?.el ? cardImage(active.el) : null,
+      options: { ...renderer.defaults, ...this.options.backgroundOptions },
+      state: this._bgState,
+      reducedMotion,
+    });
+
+    // A deferred theme update needs one more draw later
+    if (!this.updateTheme(now, c1, c2)) this._frame.bgDirty = true;
+    return !reducedMotion || this._frame.bgDirty;
+  }
+
+  /**
+   * Look up the renderer for the `background` option. Switching renderers
+   * resets their per-frame state and applies their canvas filter.
+   * @returns {{draw: Function, defaults: Object, filter: string|undefined}}
+   */
+  resolveRenderer() {
+    const { background } = this.options;
+    if (background === this._bgKey) return this._bgRenderer;
+
+    const renderer = typeof background === 'function'
+      ? { draw: background, defaults: {}, filter: undefined }
+      : RENDERERS.get(background);
+
+    this._bgKey = background;
+    this._bgRenderer = renderer;
+    this._bgState = {};
+    this.bgCanvas.style.filter = renderer.filter ?? '';
+    return renderer;
+  }
+
+  /**
+   * Enable background rendering
+   */
+  startBG() {
+    this._frame.background = true;
+    this.wake();
+  }
+
+  /**
+   * Disable background rendering
+   */
+  cancelBG() {
+    this._frame.background = false;
+  }
+
+  // ==========================================================================
+  // THEMING
+  // ==========================================================================
+
+  /**
+   * Publish the current gradient as CSS custom properties on the root, with
+   * `--gc-on-bg` chosen for WCAG contrast against the rendered background.
+   * Runs every THEME_INTERVAL ms from the background loop.
+   * @param {number} now - Frame timestamp
+   * @param {number[]} c1 - Current first gradient color
+   * @param {number[]} c2 - Current second gradient color
+   * @returns {boolean} False if the update was deferred by the interval
+   */
+  updateTheme(now, c1, c2) {
+    const theme = this._theme;
+    if (!this.options.theme) return true;
+    if (now - theme.at < THEME_INTERVAL) return false;
+    theme.at = now;
+
+    // Without a readable canvas, judge against the palette over the base
+    const samples = this.sampleBackground() || [c1, c2, BG_BASE_RGB];
+    const worst = (fg) => Math.min(...samples.map((bg) => contrastRatio(fg, bg)));
+
+    // Switch only for a clear gain, so mid-tone backgrounds don't flicker
+    const other = theme.onBg === ON_BG_DARK ? ON_BG_LIGHT : ON_BG_DARK;
+    if (worst(other) > worst(theme.onBg) * 1.1) theme.onBg = other;
+
+    const bg = [0, 1, 2].map((ch) => samples.reduce((sum, c) => sum + c[ch], 0) / samples.length);
+    const channels = (rgb) => rgb.map(Math.round).join(' ');
+
+    this.setThemeVars({
+      '--gc-color-1': rgbCss(c1),
+      '--gc-color-2': rgbCss(c2),
+      '--gc-color-1-rgb': channels(c1),
+      '--gc-color-2-rgb': channels(c2),
+      '--gc-bg': rgbCss(bg),
+      '--gc-on-bg': rgbCss(theme.onBg),
+      '--gc-on-bg-rgb': channels(theme.onBg),
+      '--gc-contrast': worst(theme.onBg).toFixed(2),
+    });
+    return true;
+  }
+
+  /**
+   * Read a coarse grid of the background canvas, composited over the base
+   * @returns {number[][]|null} RGB samples; null when the canvas can't be read
+   */
+  sampleBackground() {
+    const theme = this._theme;
+    if (!theme.ctx) {
+      const canvas = document.createElement('canvas');
+      canvas.width = canvas.height = THEME_GRID;
+      theme.ctx = canvas.getContext('2d', { willReadFrequently: true });
+    }
+
+    try {
+      theme.ctx.clearRect(0, 0, THEME_GRID, THEME_GRID);
+      theme.ctx.drawImage(this.bgCanvas, 0, 0, THEME_GRID, THEME_GRID);
+      const { data } = theme.ctx.getImageData(0, 0, THEME_GRID, THEME_GRID);
+
+      const samples = [];
+      for (let i = 0; i < data.length; i += 4) {
+        const a = data[i + 3] / 255;
+        samples.push([0, 1, 2].map((ch) => data[i + ch] * a + BG_BASE_RGB[ch] * (1 - a)));
+      }
+      return samples;
+    } catch {
+      // Tainted by a cross-origin image (e.g. the blurred-image renderer)
+      return null;
+    }
+  }
+
+  /**
+   * Set CSS custom properties on the root, skipping unchanged values
+   * @param {Object<string, string>} vars
+   */
+  setThemeVars(vars) {
+    for (const [name, value] of Object.entries(vars)) {
+      if (this._theme.vars.get(name) === value) continue;
+      this._theme.vars.set(name, value);
+      this.root.style.setProperty(name, value);
+    }
+  }
+
+  /**
+   * Remove all published custom properties
+   */
+  clearTheme() {
+    this._theme.vars.forEach((_, name) => this.root.style.removeProperty(name));
+    this._theme.vars.clear();
+    this._theme.at = 0;
+  }
+
+  // ==========================================================================
+  // DEEP LINKING
+  // ==========================================================================
+
+  /**
+   * Parameters of the URL part the `deepLink` option uses
+   * @param {URL|Location} url
+   * @returns {URLSearchParams|null} null when the fragment is not made of
+   *   `key=value` pairs, e.g. an in-page anchor or a hash route
+   */
+  deepLinkParams(url) {
+    if (this.options.deepLink !== 'hash') return new URLSearchParams(url.search);
+
+    const fragment = url.hash.slice(1);
+    if (fragment && !fragment.split('&').every((part) => /^[^=/]+=/.test(part))) return null;
+    return new URLSearchParams(fragment);
+  }
+
+  /**
+   * Slide the URL points at: a slide `id`, or a 1-based slide number
+   * @returns {number} Slide index, or -1 if deep linking is off or nothing matches
+   */
+  readDeepLink() {
+    if (!this.options.deepLink) return -1;
+
+    const value = this.deepLinkParams(location)?.get(this.options.deepLinkParam) ?? null;
+    if (value === null) return -1;
+
+    const byId = this.items.findIndex((it) => it.slide.id === value);
+    if (byId >= 0) return byId;
+
+    const n = Number(value);
+    return Number.isInteger(n) && n >= 1 && n <= this.items.length ? n - 1 : -1;
+  }
+
+  /**
+   * Point the URL at a slide without adding a history entry. In `'hash'`
+   * mode only an empty or `key=value` fragment is updated.
+   * @param {number} index - Slide index
+   */
+  writeDeepLink(index) {
+    const { deepLink, deepLinkParam } = this.options;
+    const item = this.items[index];
+    if (!deepLink || !item) return;
+
+    const url = new URL(location.href);
+    const params = this.deepLinkParams(url);
+    // The fragment belongs to the page (an anchor or a router): leave it alone
+    if (!params) return;
+
+    params.set(deepLinkParam, item.slide.id || String(index + 1));
+    if (deepLink === 'hash') url.hash = params.toString();
+    else url.search = params.toString();
+
+    if (url.href !== location.href) history.replaceState(history.state, '', url);
+  }
+
+  /**
+   * Back/forward or an edited URL: move to the slide it names
+   */
+  onPopState() {
+    const index = this.readDeepLink();
+    if (index >= 0 && index !== this.navigationIndex()) this.goTo(index);
+  }
+
+  // ==========================================================================
+  // LIGHTBOX
+  // ==========================================================================
+
+  /**
+   * Click on a card: the centered one opens in the lightbox, unless the
+   * click was meant for a link or button inside it
+   * @param {MouseEvent} e
+   */
+  onCardClick(e) {
+    if (!this.options.lightbox || this.isEntering || this._lightbox || e.defaultPrevented) return;
+    if (e.target.closest('a, button, .frame')) return;
+
+    const card = e.target.closest('.card');
+    if (card && this.items[this.activeIndex]?.el === card) this.openLightbox();
+  }
+
+  /**
+   * Enter or Space on the focused centered card opens it like a click. Keys
+   * pressed on a link or button inside the card target that element instead.
+   * @param {KeyboardEvent} e
+   * @returns {boolean} Whether the key was handled
+   */
+  onCardKey(e) {
+    if (!this.options.lightbox || e.repeat || (e.key !== 'Enter' && e.key !== ' ')) return false;
+    if (e.target !== this.items[this.activeIndex]?.el) return false;
+
+    e.preventDefault();
+    this.openLightbox();
+    return true;
+  }
+
+  /**
+   * Expand a card into a fullscreen view. The card's image grows out of its
+   * place in the carousel (FLIP), then its `fullSrc` replaces it once loaded.
+   * @param {number} [index] - Slide index, defaults to the centered slide
+   * @returns {Promise<void>} Resolves once the opening transition has finished
+   */
+  async openLightbox(index = this.activeIndex) {
+    if (this._lightbox || this.destroyed) return;
+    if (index !== this.activeIndex) await this.goTo(index, { duration: 0 });
+    const item = this.items[index];
+    if (!item?.el || this._lightbox) return;
+
+    this.cancelNavigation();
+    this.cancelSnap();
+    this.vX = 0;
+    this.holdAutoplay('lightbox', true);
+
+    const el = document.createElement('div');
+    el.className = 'lightbox';
+    el.setAttribute('role', 'dialog');
+    el.setAttribute('aria-modal', 'true');
+    el.innerHTML =
+      '<div class="lightbox__frame"><img class="lightbox__img" alt="" draggable="false"></div>' +
+      '<button type="button" class="lightbox__close" aria-label="Close">×</button>';
+
+    const lb = {
+      el,
+      frame: el.firstChild,
+      img: el.querySelector('img'),
+      index: -1,
+      card: null,
+      rect: null,           // Frame rect in root coordinates at full size
+      zoom: { scale: 1, x: 0, y: 0 },
+      pointers: new Map(),  // Active pointers for pan and pinch
+      pinch: null,
+      moved: false,         // The last press panned or pinched, so it is no click
+      closing: false,
+      returnFocus: document.activeElement,
+    };
+    this._lightbox = lb;
+
+    this._bindLightbox(lb);
+    this.root.appendChild(el);
+    this.root.classList.add('lightbox-open');
+    this.showInLightbox(index);
+    el.querySelector('.lightbox__close').focus({ preventScroll: true });
+
+    this.emit('lightbox:open', { index, slide: item.slide });
+    await this._flipLightbox(lb, true);
+  }
+
+  /**
+   * Animate the lightbox back into the centered card and remove it
+   * @returns {Promise<void>}
+   */
+  async closeLightbox() {
+    const lb = this._lightbox;
+    if (!lb || lb.closing) return;
+    lb.closing = true;
+
+    // Fly back from the unzoomed image
+    this.setLightboxZoom(1, 0, 0);
+    await this._flipLightbox(lb, false);
+    if (this.destroyed) return;
+
+    if (lb.card) lb.card.style.visibility = '';
+    lb.el.remove();
+    this.root.classList.remove('lightbox-open');
+    this._lightbox = null;
+    this.holdAutoplay('lightbox', false);
+
+    // Focus returns to the card now centered, which may differ after browsing
+    (lb.card || lb.returnFocus)?.focus?.({ preventScroll: true });
+    this.emit('lightbox:close', { index: this.activeIndex, slide: this.items[this.activeIndex]?.slide });
+  }
+
+  /**
+   * Show a slide in the open lightbox, keeping the carousel centered on it
+   * so closing returns to the right card
+   * @param {number} index - Slide index
+   */
+  showInLightbox(index) {
+    const lb = this._lightbox;
+    if (!lb) return;
+    if (index !== this.activeIndex) this.goTo(index, { duration: 0 });
+
+    const item = this.items[index];
+    const source = item.el && cardImage(item.el);
+    const { slide } = item;
+
+    // The card under the lightbox stays hidden, so the image seems lifted off it
+    if (lb.card) lb.card.style.visibility = '';
+    lb.card = item.el;
+    if (lb.card) lb.card.style.visibility = 'hidden';
+
+    lb.index = index;
+    lb.el.setAttribute('aria-label', slide.title || slide.alt || `Slide ${index + 1}`);
+    lb.img.alt = slide.alt;
+    lb.img.src = source?.currentSrc || slide.src;
+    this.setLightboxZoom(1, 0, 0);
+    this.placeLightbox(source?.naturalWidth, source?.naturalHeight);
+
+    const fit = () => this.placeLightbox(lb.img.naturalWidth, lb.img.naturalHeight);
+    if (!lb.img.complete) lb.img.addEventListener('load', fit, { once: true });
+
+    // Swap in the high-resolution source once it has decoded
+    if (slide.fullSrc && slide.fullSrc !== lb.img.src) {
+      const full = new Image();
+      full.src = slide.fullSrc;
+      full.decode().then(() => {
+        if (this._lightbox !== lb || lb.index !== index) return;
+        lb.img.src = full.src;
+        this.placeLightbox(full.naturalWidth, full.naturalHeight);
+      }, () => {});
+    }
+  }
+
+  /**
+   * Size and center the lightbox frame for an image's aspect ratio
+   * @param {number} [width] - Natural image width
+   * @param {number} [height] - Natural image height
+   */
+  placeLightbox(width, height) {
+    const lb = this._lightbox;
+    const rootRect = this.root.getBoundingClientRect();
+    const maxW = Math.max(1, rootRect.width - LIGHTBOX_MARGIN * 2);
+    const maxH = Math.max(1, rootRect.height - LIGHTBOX_MARGIN * 2);
+
+    // Unknown size until loaded: use the card's shape
+    const aspect = width && height ? width / height : this.cardW / this.cardH || 0.8;
+    const w = Math.min(maxW, maxH * aspect);
+    const h = w / aspect;
+
+    lb.rect = { left: (rootRect.width - w) / 2, top: (rootRect.height - h) / 2, width: w, height: h };
+    Object.assign(lb.frame.style, {
+      left: `${lb.rect.left}px`,
+      top: `${lb.rect.top}px`,
+      width: `${w}px`,
+      height: `${h}px`,
+    });
+  }
+
+  /**
+   * FLIP between the card's on-screen box and the full lightbox frame. The
+   * frame is scaled to cover the card's box and clipped to its shape.
+   * @param {Object} lb - Lightbox state
+   * @param {boolean} opening
+   * @returns {Promise<boolean>}
+   */
+  _flipLightbox(lb, opening) {
+    const cardImg = lb.card && cardImage(lb.card);
+    const rootRect = this.root.getBoundingClientRect();
+    const from = (cardImg || lb.card)?.getBoundingClientRect();
+    const to = lb.rect;
+
+    const apply = (t) => {
+      lb.el.style.setProperty('--lightbox-progress', t.toFixed(3));
+      if (!from || t >= 1) {
+        lb.frame.style.transform = '';
+        lb.frame.style.clipPath = '';
+        return;
+      }
+
+      // Card box in the frame's coordinates, covered by a uniform scale
+      const scale = Math.max(from.width / to.width, from.height / to.height);
+      const x = from.left - rootRect.left + from.width / 2 - (to.left + (to.width * scale) / 2);
+      const y = from.top - rootRect.top + from.height / 2 - (to.top + (to.height * scale) / 2);
+      const insetX = (to.width - from.width / scale) / 2;
+      const insetY = (to.height - from.height / scale) / 2;
+      const k = 1 - t;
+
+      lb.frame.style.transform =
+        `translate(${x * k}px,${y * k}px) scale(${1 + (scale - 1) * k})`;
+      lb.frame.style.clipPath =
+        `inset(${insetY * k}px ${insetX * k}px round ${(15 / scale) * k}px)`;
+    };
+
+    const duration = this.isReducedMotion() ? 0 : LIGHTBOX_DURATION;
+    apply(opening ? 0 : 1);
+    if (!duration) {
+      apply(opening ? 1 : 0);
+      return Promise.resolve(true);
+    }
+
+    return this.tween({
+      key: 'lightbox',
+      duration,
+      ease: opening ? EASINGS.easeOutQuart : EASINGS.easeInOutCubic,
+      onUpdate: (t) => apply(opening ? t : 1 - t),
+    });
+  }
+
+  /**
+   * Zoom and pan the lightbox image, keeping it over the whole frame
+   * @param {number} scale - 1 to LIGHTBOX_MAX_ZOOM
+   * @param {number} x - Horizontal offset in frame px
+   * @param {number} y - Vertical offset in frame px
+   */
+  setLightboxZoom(scale, x, y) {
+    const lb = this._lightbox;
+    const { width = 0, height = 0 } = lb.rect || {};
+    const zoom = lb.zoom;
+
+    zoom.scale = Math.max(1, Math.min(LIGHTBOX_MAX_ZOOM, scale));
+    zoom.x = Math.min(0, Math.max(width * (1 - zoom.scale), x));
+    zoom.y = Math.min(0, Math.max(height * (1 - zoom.scale), y));
+
+    lb.img.style.transform = zoom.scale > 1
+      ? `translate(${zoom.x}px,${zoom.y}px) scale(${zoom.scale})`
+      : '';
+    lb.el.classList.toggle('lightbox--zoomed', zoom.scale > 1);
+  }
+
+  /**
+   * Zoom around a point given in client coordinates
+   * @param {number} scale - New zoom level
+   * @param {number} clientX
+   * @param {number} clientY
+   */
+  zoomLightboxAt(scale, clientX, clientY) {
+    const { frame, zoom } = this._lightbox;
+    const r = frame.getBoundingClientRect();
+    const px = clientX - r.left;
+    const py = clientY - r.top;
+
+    // Keep the image point under the cursor in place
+    const next = Math.max(1, Math.min(LIGHTBOX_MAX_ZOOM, scale));
+    const ratio = next / zoom.scale;
+    this.setLightboxZoom(next, px - (px - zoom.x) * ratio, py - (py - zoom.y) * ratio);
+  }
+
+  /**
+   * Wire up the lightbox's own input. Its events stop here, so the carousel
+   * underneath does not react to them.
+   * @param {Object} lb - Lightbox state
+   */
+  _bindLightbox(lb) {
+    const { el, frame } = lb;
+    const stop = (e) => e.stopPropagation();
+
+    el.addEventListener('click', (e) => {
+      stop(e);
+      if (!frame.contains(e.target) && !lb.moved) this.closeLightbox();
+      lb.moved = false;
+    });
+
+    el.addEventListener('dblclick', (e) => {
+      stop(e);
+      if (!frame.contains(e.target)) return;
+      this.zoomLightboxAt(lb.zoom.scale > 1 ? 1 : 2, e.clientX, e.clientY);
+    });
+
+    // Scroll, and trackpad pinch (a wheel event with ctrlKey), zoom
+    el.addEventListener('wheel', (e) => {
+      stop(e);
+      e.preventDefault();
+      const { y } = wheelPixels(e, el.clientHeight);
+      this.zoomLightboxAt(lb.zoom.scale * Math.exp(-y * (e.ctrlKey ? 0.01 : 0.002)), e.clientX, e.clientY);
+    }, { passive: false });
+
+    // One pointer pans a zoomed image, two pinch
+    el.addEventListener('pointerdown', (e) => {
+      stop(e);
+      if (!frame.contains(e.target)) return;
+      lb.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+      el.setPointerCapture?.(e.pointerId);
+      lb.pinch = null;
+      lb.moved = false;
+    });
+
+    el.addEventListener('pointermove', (e) => {
+      const prev = lb.pointers.get(e.pointerId);
+      if (!prev) return;
+      const { zoom, pointers } = lb;
+      pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+      if (pointers.size >= 2) {
+        const [a, b] = [...pointers.values()];
+        const dist = Math.hypot(a.x - b.x, a.y - b.y);
+        if (lb.pinch) this.zoomLightboxAt(zoom.scale * (dist / lb.pinch), (a.x + b.x) / 2, (a.y + b.y) / 2);
+        lb.pinch = dist;
+        lb.moved = true;
+      } else if (zoom.scale > 1) {
+        this.setLightboxZoom(zoom.scale, zoom.x + e.clientX - prev.x, zoom.y + e.clientY - prev.y);
+        lb.moved = true;
+      }
+    });
+
+    const release = (e) => {
+      lb.pointers.delete(e.pointerId);
+      lb.pinch = null;
+    };
+    el.addEventListener('pointerup', release);
+    el.addEventListener('pointercancel', release);
+
+    el.addEventListener('keydown', (e) => {
+      stop(e);
+      const count = this.items.length;
+      switch (e.key) {
+        case 'Escape':
+          this.closeLightbox();
+          break;
+        case 'ArrowLeft':
+        case 'ArrowUp':
+          this.showInLightbox(mod(lb.index - 1, count));
+          break;
+        case 'ArrowRight':
+        case 'ArrowDown':
+          this.showInLightbox(mod(lb.index + 1, count));
+          break;
+        case 'Tab':
+          break; // The close button is the only stop; focus stays on it
+        default:
+          return;
+      }
+      e.preventDefault();
+    });
+  }
+
+  // ==========================================================================
+  // EVENT HANDLERS
+  // ==========================================================================
+
+  /**
+   * Register wheel, pointer, resize and visibility listeners
+   */
+  _bindEvents() {
+    const { root } = this;
+
+    // Mouse wheel scrolling
+    this._on(root, 'wheel', (e) => this.onWheel(e), { passive: false });
+
+    // Prevent default drag behavior
+    this._on(root, 'dragstart', (e) => e.preventDefault());
+
+    this._on(root, 'pointerdown', (e) => this.onPointerDown(e));
+    this._on(root, 'pointermove', (e) => this.onPointerMove(e));
+    this._on(root, 'pointerup', (e) => this.onPointerUp(e));
+    this._on(root, 'pointercancel', (e) => this.onPointerUp(e, true));
+
+    // A drag must not also activate the link or button it started on
+    this._on(root, 'click', (e) => {
+      if (!this._suppressClick) return;
+      this._suppressClick = false;
+      e.preventDefault();
+      e.stopPropagation();
+    }, { capture: true });
+
+    this._on(root, 'click', (e) => this.onCardClick(e));
+
+    // Keyboard navigation
+    this._on(root, 'keydown', (e) => this.onKeyDown(e));
+
+    // Deep links
+    this._on(window, 'popstate', () => this.onPopState());
+
+    // Autoplay pauses
+    this._on(root, 'pointerenter', (e) => {
+      if (e.pointerType === 'mouse' && this.options.pauseOnHover) this.holdAutoplay('hover', true);
+    });
+    this._on(root, 'pointerleave', (e) => {
+      if (e.pointerType === 'mouse') this.holdAutoplay('hover', false);
+    });
+    this._on(root, 'focusin', () => {
+      if (this.options.pauseOnFocus) this.holdAutoplay('focus', true);
+    });
+    this._on(root, 'focusout', (e) => {
+      if (!root.contains(e.relatedTarget)) this.holdAutoplay('focus', false);
+    });
+
+    // Follow OS-level reduced motion changes live
+    if (this._motionQuery) {
+      this._on(this._motionQuery, 'change', () => this.applyMotionPreference());
+    }
+
+    // Debounced resize handler
+    this._on(window, 'resize', () => {
+      clearTimeout(this._resizeTimer);
+      this._resizeTimer = setTimeout(() => this.onResize(), 80);
+    });
+
+    // Pause animations when tab is hidden
+    this._on(document, 'visibilitychange', () => {
+      this.holdAutoplay('hidden', document.hidden);
+      this._frame.hidden = document.hidden;
+      if (document.hidden) this.sleep();
+      else this.wake();
+    });
+  }
+
+  /**
+   * Handle window resize
+   */
+  onResize() {
+    this.relayout();
+    this.resizeBG();
+  }
+
+  /**
+   * Re-measure cards and re-apply transforms, keeping the relative
+   * scroll position stable
+   */
+  relayout() {
+    this.cancelNavigation();
+    this.cancelSnap();
+    const prevTrack = this.track || 1;
+    const ratio = this.scrollX / prevTrack;
+    this.applyLayout();
+    this.measure();
+    this.scrollX = mod(ratio * this.track, this.track);
+    this.updateCarouselTransforms();
+    this.wake();
+  }
+
+  /**
+   * Mouse wheel and trackpad scrolling
+   * @param {WheelEvent} e
+   */
+  onWheel(e) {
+    if (this.isEntering || this._lightbox) return;
+    const { wheelCapture, wheelSensitivity } = this.options;
+    if (wheelCapture === 'focus' && !this.root.contains(document.activeElement)) return;
+
+    // Follow the layout axis. Plain mouse wheels only report deltaY, so
+    // horizontal layouts fall back to it unless only axis intent is captured.
+    const vertical = this.layout.axis === 'y';
+    const { x, y } = wheelPixels(e, this.viewHalf * 2);
+    const primary = vertical ? y : x;
+    const cross = vertical ? x : y;
+    let delta = primary;
+    if (Math.abs(cross) > Math.abs(primary)) {
+      if (vertical || wheelCapture === 'axis') return;
+      delta = cross;
+    }
+    if (!delta) return;
+
+    e.preventDefault();
+    this.cancelNavigation();
+    this.cancelSnap();
+    this.deferAutoplay();
+
+    const kind = this.classifyWheel(e, delta, performance.now());
+
+    if (this.isReducedMotion() || kind === 'direct') {
+      // Reduced motion and trackpads scroll directly, without inertia
+      this.scrollX = mod(this.scrollX + delta * wheelSensitivity, this.track);
+      this.vX = 0;
+    } else if (kind === 'impulse') {
+      this.vX = this.clampVelocity(this.vX + delta * wheelSensitivity * 20);
+    } else if (kind === 'inertia') {
+      // Replace the OS's momentum with our own, from the swipe's speed
+      this.vX = this.clampVelocity(this._wheel.rate);
+    }
 
-  const tl = window.gsap.timeline();
+    this.emit('wheel', { delta, deltaX: e.deltaX, deltaY: e.deltaY });
+    this.wake();
+  }
+
+  /**
+   * Sort a wheel event into the gesture it belongs to
+   * @param {WheelEvent} e
+   * @param {number} delta - Pixels along the layout axis
+   * @param {number} now
+   * @returns {'impulse'|'direct'|'inertia'|null} 'impulse' for mouse wheel
+   *   notches, 'direct' for trackpad movement, 'inertia' for the first event
+   *   of the trackpad's inertia and null for the rest of it
+   */
+  classifyWheel(e, delta, now) {
+    const w = this._wheel;
+    const size = Math.abs(delta);
+    const gap = now - w.t;
+
+    // A pause or a change of direction starts a new gesture
+    if (gap > WHEEL_GAP || Math.sign(delta) !== w.sign) {
+      Object.assign(w, {
+        t: now,
+        sign: Math.sign(delta),
+        last: size,
+        decays: 0,
+        rate: 0,
+        trackpad: e.deltaMode === 0 && size < WHEEL_NOTCH,
+        inertia: false,
+      });
+      return w.trackpad ? 'direct' : 'impulse';
+    }
+
+    const shrinking = size < w.last;
+    const growing = size > w.last;
+    w.t = now;
+    w.last = size;
+    if (!w.trackpad) return 'impulse';
+
+    // A renewed swipe interrupts the inertia
+    if (growing) {
+      w.decays = 0;
+      w.inertia = false;
+    } else if (shrinking) {
+      w.decays++;
+    }
+    if (w.inertia) return null;
+
+    const rate = (delta * this.options.wheelSensitivity) / (Math.max(8, gap) / 1000);
+    w.rate = w.rate ? (w.rate + rate) / 2 : rate;
+
+    if (w.decays >= INERTIA_SAMPLES) {
+      w.inertia = true;
+      return 'inertia';
+    }
+    return 'direct';
+  }
+
+  /**
+   * Whether a trackpad is moving the carousel right now
+   * @param {number} now
+   * @returns {boolean}
+   */
+  wheelActive(now) {
+    const w = this._wheel;
+    return w.trackpad && !w.inertia && now - w.t < WHEEL_GAP;
+  }
+
+  /**
+   * Limit a velocity to the `maxVelocity` option
+   * @param {number} v - px/s
+   * @returns {number}
+   */
+  clampVelocity(v) {
+    const { maxVelocity } = this.options;
+    return Math.max(-maxVelocity, Math.min(maxVelocity, v));
+  }
+
+  /**
+   * Pointer down - start tracking a possible drag. Nothing is captured until
+   * the pointer has moved far enough along the layout axis, so taps still
+   * reach links and cross-axis swipes still scroll the page.
+   * @param {PointerEvent} e
+   */
+  onPointerDown(e) {
+    if (this.isEntering || this._lightbox) return;
+    if (e.target.closest('.frame')) return;
+    if (e.pointerType === 'mouse' && e.button !== 0) return;
+
+    // Never let another press take over a drag in progress
+    if (this.dragging) return;
+
+    // A second finger means a pinch or similar: drop a gesture that has not
+    // turned into a drag yet. A new primary press means its pointer was
+    // released where we could not see it, e.g. outside the root before the
+    // drag threshold, so it starts over instead.
+    this._gesture = null;
+    if (!e.isPrimary) return;
+
+    const now = performance.now();
+    const coord = this.pointerCoord(e);
+    this._gesture = {
+      id: e.pointerId,
+      startX: e.clientX,
+      startY: e.clientY,
+      last: coord,
+      samples: [{ t: now, p: coord }], // Recent positions for release velocity
+    };
+  }
+
+  /**
+   * Pointer move - decide the gesture's axis, then update scroll position
+   * @param {PointerEvent} e
+   */
+  onPointerMove(e) {
+    const g = this._gesture;
+    if (!g || e.pointerId !== g.id) return;
+
+    if (!this.dragging) {
+      const dx = e.clientX - g.startX;
+      const dy = e.clientY - g.startY;
+      if (Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+
+      // Mostly across the layout axis: leave it to the page
+      const vertical = this.layout.axis === 'y';
+      if (Math.abs(vertical ? dy : dx) < Math.abs(vertical ? dx : dy)) {
+        this._gesture = null;
+        return;
+      }
+      this.startDrag(e);
+    }
+
+    const now = performance.now();
+    const coord = this.pointerCoord(e);
+    this.scrollX = mod(this.scrollX - (coord - g.last) * this.options.dragSensitivity, this.track);
+    g.last = coord;
+
+    g.samples.push({ t: now, p: coord });
+    while (g.samples.length > 2 && now - g.samples[0].t > VELOCITY_WINDOW) g.samples.shift();
+  }
+
+  /**
+   * Turn the tracked gesture into a drag
+   * @param {PointerEvent} e
+   */
+  startDrag(e) {
+    this.cancelNavigation();
+    this.cancelSnap();
+    this.holdAutoplay('drag', true);
+    this.dragging = true;
+    this.vX = 0;
+    this.root.setPointerCapture?.(e.pointerId);
+    this.root.classList.add('dragging');
+    this.emit('dragstart', { index: this.activeIndex });
+    this.wake();
+  }
+
+  /**
+   * Pointer coordinate along the layout axis
+   * @param {PointerEvent} e
+   * @returns {number}
+   */
+  pointerCoord(e) {
+    return this.layout.axis === 'y' ? e.clientY : e.clientX;
+  }
+
+  /**
+   * Release velocity in px/s along the axis, averaged over the last
+   * VELOCITY_WINDOW ms. A pointer that stopped before lifting has none.
+   * @param {{t: number, p: number}[]} samples
+   * @param {number} now
+   * @returns {number}
+   */
+  releaseVelocity(samples, now) {
+    const last = samples[samples.length - 1];
+    if (now - last.t > VELOCITY_WINDOW) return 0;
+
+    const first = samples.find((s) => last.t - s.t <= VELOCITY_WINDOW) || samples[0];
+    const dt = (last.t - first.t) / 1000;
+    return dt > 0 ? (last.p - first.p) / dt : 0;
+  }
+
+  /**
+   * Pointer up - apply momentum
+   * @param {PointerEvent} e
+   * @param {boolean} [cancelled] - The browser took the pointer over; no momentum
+   */
+  onPointerUp(e, cancelled = false) {
+    const g = this._gesture;
+    if (!g || e.pointerId !== g.id) return;
+    this._gesture = null;
+    if (!this.dragging) return;
+
+    this.dragging = false;
+    if (this.root.hasPointerCapture?.(e.pointerId)) this.root.releasePointerCapture(e.pointerId);
+    const speed = cancelled ? 0 : this.releaseVelocity(g.samples, performance.now());
+    this.vX = this.clampVelocity(-speed * this.options.dragSensitivity); // Apply final velocity
+    this.root.classList.remove('dragging');
+    this.holdAutoplay('drag', false);
+    this.emit('dragend', { index: this.activeIndex, velocity: this.vX });
+
+    // The click that follows this pointerup belongs to the drag. Clear the
+    // flag afterwards in case the browser does not send one.
+    this._suppressClick = !cancelled;
+    setTimeout(() => { this._suppressClick = false; }, 0);
+
+    // No momentum under reduced motion; snap mode still picks a card below
+    const velocity = this.vX;
+    if (this.isReducedMotion()) this.vX = 0;
+
+    // In snap mode the release velocity picks the target card directly
+    if (this.options.scrollMode === 'snap') {
+      this.startSnap(this.flickTarget(velocity));
+    }
+    this.wake();
+  }
+
+  /**
+   * Keyboard navigation
+   * @param {KeyboardEvent} e
+   */
+  onKeyDown(e) {
+    if (this.isEntering || this._lightbox) return;
+    if (e.altKey || e.ctrlKey || e.metaKey) return;
+    if (e.target.closest('.frame, input, textarea, select, [contenteditable]')) return;
+    if (this.onCardKey(e) || !this.options.keyboard) return;
+
+    const last = this.items.length - 1;
+    const current = this.navigationIndex();
+    const { pageSize } = this.options;
+    let target;
+
+    switch (e.key) {
+      case 'ArrowUp':
+      case 'ArrowDown':
+        // Up/down scroll the page unless the carousel itself is vertical
+        if (this.layout.axis !== 'y') return;
+        target = mod(current + (e.key === 'ArrowUp' ? -1 : 1), this.items.length);
+        break;
+      case 'ArrowLeft':
+        target = mod(current - 1, this.items.length);
+        break;
+      case 'ArrowRight':
+        target = mod(current + 1, this.items.length);
+        break;
+      case 'Home':
+        target = 0;
+        break;
+      case 'End':
+        target = last;
+        break;
+      case 'PageUp':
+        target = mod(current - pageSize, this.items.length);
+        break;
+      case 'PageDown':
+        target = mod(current + pageSize, this.items.length);
+        break;
+      default:
+        return;
+    }
+
+    e.preventDefault();
+    this.deferAutoplay();
+    this.goTo(target);
+  }
 
-  visibleCards.forEach(({ item, screenX }, idx) => {
-    const state = { p: 0 }; // 0 -> 1
-    const { ry, tz, scale: baseScale } = computeTransformComponents(screenX);
+
+  // ==========================================================================
+  // INITIALIZATION & ENTRY ANIMATION
+  // ==========================================================================
+
+  /**
+   * Animate visible cards entering the scene
+   * @param {Array} visibleCards - Cards to animate
+   */
+  async animateEntry(visibleCards) {
+    await nextFrame();
+    if (this.destroyed) return;
+
+    // Reduced motion: skip the stagger and show the cards in place
+    if (this.isReducedMotion()) {
+      visibleCards.forEach(({ item }) => {
+        item.el.style.opacity = '';
+      });
+      this.updateCarouselTransforms();
+      return;
+    }
 
     const START_SCALE = 0.92;
     const START_Y = 40;
 
-    item.el.style.opacity = '0';
-    item.el.style.transform =
-      `translate3d(${screenX}px,-50%,${tz}px) ` +
-      `rotateY(${ry}deg) ` +
-      `scale(${START_SCALE}) ` +
-      `translateY(${START_Y}px)`;
-
-    tl.to(
-      state,
-      {
-        p: 1,
+    const tweens = visibleCards.map(({ item, pos }, idx) => {
+      // Start slightly smaller and lower than the final placement
+      const { transform, opacity } = this.transformForPosition(pos);
+      const entering = (t) =>
+        `${transform} scale(${START_SCALE + (1 - START_SCALE) * t}) translateY(${START_Y * (1 - t)}px)`;
+
+      // Written directly below, so the next diffed write must not be skipped
+      this._styleCache.delete(item.el);
+      item.el.style.opacity = '0';
+      item.el.style.transform = entering(0);
+
+      return this.tween({
         duration: 0.6,
-        ease: 'power3.out',
-        onUpdate: () => {
-          const t = state.p;
-
-          const currentScale = START_SCALE + (baseScale - START_SCALE) * t;
-          const currentY = START_Y * (1 - t);
-          const opacity = t;
-
-          item.el.style.opacity = opacity.toFixed(3);
-
-          if (t >= 0.999) {
-            const { transform } = transformForScreenX(screenX);
-            item.el.style.transform = transform;
-          } else {
-            item.el.style.transform =
-              `translate3d(${screenX}px,-50%,${tz}px) ` +
-              `rotateY(${ry}deg) ` +
-              `scale(${currentScale}) ` +
-              `translateY(${currentY}px)`;
-          }
+        delay: idx * 0.05,
+        ease: EASINGS.easeOutQuart,
+        onUpdate: (t) => {
+          item.el.style.opacity = (t * opacity).toFixed(3);
+          item.el.style.transform = t >= 0.999 ? transform : entering(t);
         },
-      },
-      idx * 0.05
-    );
-  });
+      });
+    });
 
-  await new Promise((resolve) => {
-    tl.eventCallback('onComplete', resolve);
-  });
-}
+    await Promise.all(tweens);
+  }
+
+  /**
+   * Pre-composite all card positions to prevent first-interaction jank
+   */
+  async warmupCompositing() {
+    // Sweeping the track would mount every card of a virtualized carousel
+    if (this.virtual) return;
+
+    const originalScrollX = this.scrollX;
+    const stepSize = this.step * 0.5;
+    const numSteps = Math.ceil(this.track / stepSize);
+
+    // Scroll through entire carousel to force GPU compositing
+    for (let i = 0; i < numSteps; i++) {
+      if (this.destroyed) return;
+      this.scrollX = mod(originalScrollX + i * stepSize, this.track);
+      this.updateCarouselTransforms();
+
+      // Force paint every few steps (optimization)
+      if (i % 3 === 0) {
+        await nextFrame();
+      }
+    }
 
+    // Return to original position
+    this.scrollX = originalScrollX;
+    this.updateCarouselTransforms();
+    await nextFrame();
+    await nextFrame();
+  }
 
-/**
- * Pre-composite all card positions to prevent first-interaction jank
- */
-async function warmupCompositing() {
-  const originalScrollX = SCROLL_X;
-  const stepSize = STEP * 0.5;
-  const numSteps = Math.ceil(TRACK / stepSize);
+  /**
+   * Initialize the carousel. Called from the constructor; the returned
+   * promise is exposed as `carousel.ready`.
+   * @returns {Promise<void>}
+   */
+  async init() {
+    const { root } = this;
+
+    // Create DOM elements
+    this.createCards();
+
+    // Preload images for faster loading; virtualized cards load as they mount
+    if (!this.virtual) this.preloadImageLinks(this.slides.map((slide) => slide.src));
+
+    this.measure();
 
-  // Scroll through entire carousel to force GPU compositing
-  for (let i = 0; i < numSteps; i++) {
-    SCROLL_X = mod(originalScrollX + i * stepSize, TRACK);
-    updateCarouselTransforms();
+    // Start on the slide the URL links to; the entry animation follows
+    const linked = this.readDeepLink();
+    if (linked >= 0) this.scrollX = this.items[linked].x;
 
-    // Force paint every few steps (optimization)
-    if (i % 3 === 0) {
-      await new Promise((r) => requestAnimationFrame(r));
+    this.updateCarouselTransforms();
+    root.classList.add('carousel-mode');
+    root.classList.toggle('reduced-motion', this.isReducedMotion());
+
+    // Wait for all images to load
+    await this.waitForImages();
+
+    // Decode images to prevent jank
+    await this.decodeAllImages();
+    if (this.destroyed) return;
+
+    // Force browser to paint images
+    this.items.forEach((it) => {
+      const img = it.el && cardImage(it.el);
+      if (img) void img.offsetHeight;
+    });
+
+    // Extract colors: the centered card before the entry animation, the
+    // rest in the background, nearest first
+    const first = this.closestIndex();
+    this.gradPalette = this.items.map(() => null);
+    await this.loadPalette(this.items[first]);
+    if (this.destroyed) return;
+    this.buildPalette({ reset: false, refresh: false });
+
+    // Set initial centered card.
+    // Reset first so the palette is applied even if it was already active.
+    this.activeIndex = -1;
+    this.setActiveGradient(first);
+
+    // Initialize background canvas
+    this.resizeBG();
+    if (this.bgCtx) {
+      const w = this.bgCanvas.clientWidth || root.clientWidth;
+      const h = this.bgCanvas.clientHeight || root.clientHeight;
+      this.bgCtx.fillStyle = BG_BASE;
+      this.bgCtx.fillRect(0, 0, w, h);
     }
-  }
 
-  // Return to original position
-  SCROLL_X = originalScrollX;
-  updateCarouselTransforms();
-  await new Promise((r) => requestAnimationFrame(r));
-  await new Promise((r) => requestAnimationFrame(r));
-}
+    // Warmup GPU compositing
+    await this.warmupCompositing();
+    if (this.destroyed) return;
 
-/**
- * Initialize the carousel application
- */
-async function init() {
-  // Preload images for faster loading
-  preloadImageLinks(IMAGES);
-  
-  // Create DOM elements
-  createCards();
-  measure();
-  updateCarouselTransforms();
-  stage.classList.add('carousel-mode');
+    // Wait for browser idle time
+    if ('requestIdleCallback' in window) {
+      await new Promise((r) => requestIdleCallback(r, { timeout: 100 }));
+    }
+    if (this.destroyed) return;
 
-  // Wait for all images to load
-  await waitForImages();
+    // Start background animation
+    this.startBG();
+    await new Promise((r) => setTimeout(r, 100)); // Let background settle
+    if (this.destroyed) return;
 
-  // Decode images to prevent jank
-  await decodeAllImages();
+    // Prepare entry animation for visible cards
+    const visibleCards = [];
 
-  // Force browser to paint images
-  items.forEach((it) => {
-    const img = it.el.querySelector('img');
-    if (img) void img.offsetHeight;
-  });
+    for (let i = 0; i < this.items.length; i++) {
+      const pos = this.wrappedPosition(this.items[i].x);
+      if (this.items[i].el && Math.abs(pos) < this.viewHalf * 1.2) {
+        visibleCards.push({ item: this.items[i], pos, index: i });
+      }
+    }
+
+    // Sort cards left to right (top to bottom)
+    visibleCards.sort((a, b) => a.pos - b.pos);
+
+    // Hide loader
+    if (this.loader) this.loader.classList.add('loader--hide');
+
+    // Animate cards entering
+    await this.animateEntry(visibleCards);
+    if (this.destroyed) return;
 
-  // Extract colors from images for gradients
-  buildPalette();
+    // Enable user interaction
+    this.isEntering = false;
 
-  // Find and set initial centered card
-  const half = TRACK / 2;
-  let closestIdx = 0;
-  let closestDist = Infinity;
+    // Start main carousel loop
+    this.startCarousel();
 
-  for (let i = 0; i < items.length; i++) {
-    let pos = items[i].x - SCROLL_X;
-    if (pos < -half) pos += TRACK;
-    if (pos > half) pos -= TRACK;
-    const d = Math.abs(pos);
-    if (d < closestDist) {
-      closestDist = d;
-      closestIdx = i;
+    const active = this.items[this.activeIndex];
+    this._reported = { slide: active?.slide || null, index: this.activeIndex };
+    this._lastScrollX = this.scrollX;
+    this.emit('ready', { index: this.activeIndex, slide: active?.slide });
+  }
+
+  // ==========================================================================
+  // SLIDE MANAGEMENT
+  // ==========================================================================
+
+  /**
+   * Insert slides at runtime. Colors are extracted only for the new images.
+   * @param {Array<string|Object>} slides - Slides to add
+   * @param {number} [index] - Insert position, defaults to the end
+   * @returns {Promise<void>} Resolves once the new slides' colors are known
+   */
+  addSlides(slides, index = this.items.length) {
+    validateOptions({ slides });
+    this._checkIndex(index, this.items.length, 'index');
+
+    const added = slides.map((data, i) => {
+      const slide = normalizeSlide(data);
+      if (this.virtual) return { el: null, slide, x: 0 }; // Mounted when in view
+
+      const el = this.buildCard(slide, index + i);
+      this.cardsRoot.appendChild(el);
+      return { el, slide, x: 0 };
+    });
+
+    this._mutateSlides(() => {
+      this.items.splice(index, 0, ...added);
+      this.gradPalette.splice(index, 0, ...added.map(() => null));
+    });
+
+    return this._extractSlideColors(added);
+  }
+
+  /**
+   * Remove a slide
+   * @param {number} index - Slide index
+   */
+  removeSlide(index) {
+    this._checkIndex(index, this.items.length - 1, 'index');
+    if (this.items.length === 1) {
+      throw new RangeError('GradientCarousel: cannot remove the last slide');
     }
+
+    this._mutateSlides(() => {
+      const [removed] = this.items.splice(index, 1);
+      this.gradPalette.splice(index, 1);
+      removed.el?.remove();
+    });
+  }
+
+  /**
+   * Replace a slide's content in place
+   * @param {number} index - Slide index
+   * @param {string|Object} data - New slide
+   * @returns {Promise<void>} Resolves once the new slide's colors are known
+   */
+  replaceSlide(index, data) {
+    this._checkIndex(index, this.items.length - 1, 'index');
+    validateOptions({ slides: [data] });
+
+    const item = this.items[index];
+    const slide = normalizeSlide(data);
+    const el = item.el && this.buildCard(slide, index);
+
+    this._mutateSlides(() => {
+      if (el) {
+        item.el.replaceWith(el);
+        item.el = el;
+      }
+      item.slide = slide;
+      this.gradPalette[index] = null;
+    });
+
+    return this._extractSlideColors([item]);
   }
 
-  setActiveGradient(closestIdx);
+  /**
+   * Move a slide to a new position
+   * @param {number} from - Current slide index
+   * @param {number} to - Target slide index
+   */
+  moveSlide(from, to) {
+    this._checkIndex(from, this.items.length - 1, 'from');
+    this._checkIndex(to, this.items.length - 1, 'to');
+    if (from === to) return;
+
+    this._mutateSlides(() => {
+      const [item] = this.items.splice(from, 1);
+      const [pal] = this.gradPalette.splice(from, 1);
+      this.items.splice(to, 0, item);
+      this.gradPalette.splice(to, 0, pal);
+    });
+  }
 
-  // Initialize background canvas
-  resizeBG();
-  if (bgCtx) {
-    const w = bgCanvas.clientWidth || stage.clientWidth;
-    const h = bgCanvas.clientHeight || stage.clientHeight;
-    bgCtx.fillStyle = '#f6f7f9';
-    bgCtx.fillRect(0, 0, w, h);
+  /**
+   * Throw if an index argument is not an integer in [0, max]
+   * @param {number} value
+   * @param {number} max
+   * @param {string} name - Argument name for the error message
+   */
+  _checkIndex(value, max, name) {
+    if (!Number.isInteger(value) || value < 0 || value > max) {
+      throw new RangeError(`GradientCarousel: "${name}" must be an integer in [0, ${max}], got ${value}`);
+    }
   }
 
-  // Warmup GPU compositing
-  await warmupCompositing();
+  /**
+   * Apply a change to `items`/`gradPalette`, then recompute the track while
+   * keeping the centered card where it is on screen
+   * @param {Function} mutate - Performs the change
+   */
+  _mutateSlides(mutate) {
+    this.cancelNavigation();
+    this.cancelSnap();
+    const anchor = this.items[this.activeIndex];
+    const offset = anchor ? this.wrappedPosition(anchor.x) : 0;
+
+    mutate();
+
+    this.slides = this.items.map((it) => it.slide);
+    this.measure();
+    this.updateSlideLabels();
+
+    // Keep the previously centered card centered; if it was removed, fall
+    // back to whatever card now occupies its index
+    const anchorIdx = anchor ? this.items.indexOf(anchor) : -1;
+    if (anchorIdx >= 0) {
+      this.scrollX = mod(this.items[anchorIdx].x - offset, this.track);
+      this.activeIndex = anchorIdx;
+    } else {
+      const idx = Math.min(Math.max(this.activeIndex, 0), this.items.length - 1);
+      this.scrollX = mod(this.items[idx].x, this.track);
+      this.activeIndex = -1;
+    }
+
+    // New cards start out exposed; force a full pass over the mounted ones
+    this._ariaActive = null;
+    this.updateCarouselTransforms();
+    this.syncActiveSlide();
+    this.emitChange();
+    this.emit('slides', { slides: this.slides });
+    this.wake();
+  }
 
-  // Wait for browser idle time
-  if ('requestIdleCallback' in window) {
-    await new Promise((r) => requestIdleCallback(r, { timeout: 100 }));
+  /**
+   * Extract colors for the given items once their images have loaded
+   * @param {Array} items - Items from `this.items`
+   * @returns {Promise<void>}
+   */
+  async _extractSlideColors(items) {
+    await Promise.all(items.map((item) => this.loadPalette(item)));
   }
 
-  // Start background animation
-  startBG();
-  await new Promise((r) => setTimeout(r, 100)); // Let background settle
+  // ==========================================================================
+  // OPTIONS
+  // ==========================================================================
+
+  /**
+   * Update options at runtime. Layout options re-measure the track, new
+   * slides or templates rebuild the cards and their palette; everything
+   * else is picked up on the next frame.
+   * @param {Object} partial - Options to change
+   * @throws {TypeError|RangeError} When an option is unknown or out of range
+   */
+  setOptions(partial = {}) {
+    validateOptions(partial);
+    const prev = this.options;
+    this.options = { ...prev, ...partial };
+
+    const reload = CONTENT_OPTIONS.some((key) => key in partial);
+    if (reload) {
+      this.slides = this.resolveSlides();
+      this.reloadSlides();
+    }
+
+    if ('reducedMotion' in partial) {
+      this.applyMotionPreference();
+    }
+
+    if ('theme' in partial && !this.options.theme) {
+      this.clearTheme();
+    }
+
+    // Keep the current palettes on screen until their replacements arrive;
+    // a reload extracts them afresh anyway
+    if (!reload && PALETTE_OPTIONS.some((key) => key in partial && partial[key] !== prev[key])) {
+      this.buildPalette({ reset: false });
+    }
+
+    if ('autoplay' in partial || 'autoplayMode' in partial) {
+      this._autoplay.elapsed = 0;
+      this._autoplay.resumeAt = 0;
+    }
+
+    if ('adaptiveQuality' in partial && !this.options.adaptiveQuality) {
+      this.setQuality(0);
+    }
 
-  // Prepare entry animation for visible cards
-  const viewportWidth = window.innerWidth;
-  const visibleCards = [];
-  
-  for (let i = 0; i < items.length; i++) {
-    let pos = items[i].x - SCROLL_X;
-    if (pos < -half) pos += TRACK;
-    if (pos > half) pos -= TRACK;
+    if (('deepLink' in partial || 'deepLinkParam' in partial) && !this.isEntering) {
+      this.writeDeepLink(this.activeIndex);
+    }
 
-    const screenX = pos;
-    if (Math.abs(screenX) < viewportWidth * 0.6) {
-      visibleCards.push({ item: items[i], screenX, index: i });
+    if (!reload && LAYOUT_OPTIONS.some((key) => key in partial && partial[key] !== prev[key])) {
+      this.relayout();
+    } else {
+      this.updateCarouselTransforms();
     }
+    this.wake();
+  }
+
+  /**
+   * Rebuild all cards from the slide list and re-extract their colors
+   * @returns {Promise<void>}
+   */
+  async reloadSlides() {
+    this._preloadLinks.forEach((link) => link.remove());
+    this._preloadLinks = [];
+
+    this.createCards();
+    if (!this.virtual) this.preloadImageLinks(this.slides.map((slide) => slide.src));
+    this.scrollX = 0;
+    this.gradPalette = [];
+    this.activeIndex = -1;
+    this.relayout();
+    this.updateCarouselTransforms();
+    this.emit('slides', { slides: this.slides });
+
+    await this.waitForImages();
+    if (this.destroyed) return;
+
+    await this.buildPalette();
   }
 
-  // Sort cards left to right
-  visibleCards.sort((a, b) => a.screenX - b.screenX);
+  // ==========================================================================
+  // TEARDOWN
+  // ==========================================================================
+
+  /**
+   * Stop all animation, remove listeners and undo DOM changes.
+   * The instance cannot be reused afterwards.
+   */
+  destroy() {
+    if (this.destroyed) return;
+    this.destroyed = true;
+
+    // Let add-ons tear themselves down while the DOM is still intact
+    this.emit('destroy');
+
+    this.cancelNavigation();
+    this.cancelCarousel();
+    this.cancelBG();
+    this.sleep();
+    clearTimeout(this._resizeTimer);
+    clearTimeout(this._announceTimer);
 
-  // Hide loader
-  if (loader) loader.classList.add('loader--hide');
+    this.cancelTweens();
 
-  // Animate cards entering
-  await animateEntry(visibleCards);
+    this._listeners.forEach(([target, type, fn, opts]) => {
+      target.removeEventListener(type, fn, opts);
+    });
+    this._listeners = [];
+    this._handlers.clear();
+
+    this._preloadLinks.forEach((link) => link.remove());
+    this._preloadLinks = [];
+
+    this._lightbox?.el.remove();
+    this._lightbox = null;
+    this.root.classList.remove('lightbox-open');
+
+    this.items.forEach((it) => it.el?.remove());
+    this.items = [];
+    this._pool = [];
+    this._created.forEach((el) => el.remove());
+    this._created = [];
 
-  // Enable user interaction
-  isEntering = false;
+    this._rootAttrs.forEach((value, name) => {
+      if (value === null) this.root.removeAttribute(name);
+      else this.root.setAttribute(name, value);
+    });
+    this._rootAttrs.clear();
 
-  // Start main carousel loop
-  startCarousel();
+    this.bgCanvas.style.filter = '';
+    this.clearTheme();
+    this.root.classList.remove('carousel-mode', 'dragging', 'reduced-motion');
+    if (this.loader) this.loader.classList.remove('loader--hide');
+  }
 }
 
 // ============================================================================
 // START APPLICATION
 // ============================================================================
 
-init();
\ No newline at end of file
+window.GradientCarousel = GradientCarousel;
+
+document.querySelectorAll('[data-gradient-carousel]').forEach((el) => {
+  el.gradientCarousel = new GradientCarousel(el);
+});
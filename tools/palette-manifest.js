@@ -0,0 +1,186 @@
+#!/usr/bin/env node
+/*
+  Palette Manifest Generator
+  Extracts palettes at build time with the same algorithm the carousel runs
+  in the browser (palette.js) and writes them to a JSON manifest, which the
+  carousel loads through its `paletteManifest` option.
+
+  Usage:
+    node tools/palette-manifest.js <image-dir> [options]
+
+  Options:
+    --out <file>       Manifest path (default: <image-dir>/palettes.json)
+    --method <name>    histogram | median-cut | kmeans (default: histogram)
+    --size <n>         Swatches per image (default: 5)
+    --recursive        Include subdirectories
+
+  Decoding needs sharp, a dev dependency:  npm install
+
+  sharp downscales with a different kernel than the browser's canvas, so
+  manifest palettes are close to, but not identical with, the ones the
+  carousel would extract itself.
+*/
+
+'use strict';
+
+const fs = require('fs/promises');
+const path = require('path');
+const GradientPalette = require('../palette.js');
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+// File extensions sharp can decode
+const EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp', '.avif', '.gif', '.tif', '.tiff'];
+
+const USAGE = `Usage: node tools/palette-manifest.js <image-dir> [--out file] [--method ${GradientPalette.METHODS.join('|')}] [--size n] [--recursive]`;
+
+// ============================================================================
+// ARGUMENTS
+// ============================================================================
+
+/**
+ * Parse command line arguments
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {{dir: string, out: string, method: string, size: number, recursive: boolean}}
+ * @throws {Error} On unknown flags or invalid values
+ */
+function parseArgs(argv) {
+  const args = { dir: null, out: null, method: 'histogram', size: 5, recursive: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`Missing value for ${arg}`);
+      return argv[++i];
+    };
+
+    if (arg === '--out') args.out = value();
+    else if (arg === '--method') args.method = value();
+    else if (arg === '--size') args.size = Number(value());
+    else if (arg === '--recursive') args.recursive = true;
+    else if (arg === '--help' || arg === '-h') throw new Error(USAGE);
+    else if (arg.startsWith('-')) throw new Error(`Unknown option ${arg}\n${USAGE}`);
+    else if (!args.dir) args.dir = arg;
+    else throw new Error(`Unexpected argument ${arg}\n${USAGE}`);
+  }
+
+  if (!args.dir) throw new Error(USAGE);
+  if (!GradientPalette.METHODS.includes(args.method)) {
+    throw new Error(`--method must be one of ${GradientPalette.METHODS.join(', ')}`);
+  }
+  // Same bounds as the carousel's `paletteSize` option
+  if (!Number.isInteger(args.size) || args.size < 2 || args.size > 16) {
+    throw new Error('--size must be an integer from 2 to 16');
+  }
+
+  args.out = args.out || path.join(args.dir, 'palettes.json');
+  return args;
+}
+
+// ============================================================================
+// IMAGES
+// ============================================================================
+
+/**
+ * List image files in a directory, sorted by path
+ * @param {string} dir
+ * @param {boolean} recursive
+ * @returns {Promise<string[]>}
+ */
+async function listImages(dir, recursive) {
+  const files = [];
+
+  for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+    const file = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      if (recursive) files.push(...await listImages(file, recursive));
+    } else if (EXTENSIONS.includes(path.extname(entry.name).toLowerCase())) {
+      files.push(file);
+    }
+  }
+
+  return files.sort();
+}
+
+/**
+ * Decode an image into RGBA pixels, downscaled to the browser's sample size
+ * @param {Function} sharp - The sharp module
+ * @param {string} file
+ * @returns {Promise<Uint8Array>} RGBA data
+ */
+async function readPixels(sharp, file) {
+  const { width, height } = await sharp(file).metadata();
+  const size = GradientPalette.sampleSize(width, height);
+
+  const { data } = await sharp(file)
+    .resize(size.width, size.height, { fit: 'fill' })
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  return new Uint8Array(data.buffer, data.byteOffset, data.length);
+}
+
+/**
+ * Load sharp, with a readable error when it is not installed
+ * @returns {Function}
+ * @throws {Error}
+ */
+function loadSharp() {
+  try {
+    return require('sharp');
+  } catch {
+    throw new Error('Decoding images requires sharp. Install the dev dependencies with: npm install');
+  }
+}
+
+/**
+ * Serialize a manifest, keeping color arrays on one line
+ * @param {Object} manifest
+ * @returns {string}
+ */
+function formatManifest(manifest) {
+  const json = JSON.stringify(manifest, null, 2)
+    .replace(/\[\s+([-\d.,\s]+?)\s+\]/g, (_, nums) => `[${nums.split(/,\s*/).join(', ')}]`);
+  return json + '\n';
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const sharp = loadSharp();
+  const files = await listImages(args.dir, args.recursive);
+  const outDir = path.dirname(path.resolve(args.out));
+  const entries = [];
+
+  for (const file of files) {
+    // URLs relative to the manifest, so the carousel can resolve them
+    const src = path.relative(outDir, path.resolve(file)).split(path.sep).join('/');
+
+    try {
+      const palette = GradientPalette.extractPalette(await readPixels(sharp, file), args);
+      if (!palette) {
+        console.warn(`skip ${src}: no opaque pixels`);
+        continue;
+      }
+      entries.push(GradientPalette.toManifestEntry(src, palette));
+      console.log(`${src}  rgb(${palette.c1.map(Math.round)})  rgb(${palette.c2.map(Math.round)})`);
+    } catch (err) {
+      console.warn(`skip ${src}: ${err.message}`);
+    }
+  }
+
+  const manifest = GradientPalette.toManifest(entries, args);
+  await fs.writeFile(args.out, formatManifest(manifest));
+  console.log(`Wrote ${entries.length} palette(s) to ${args.out}`);
+}
+
+main().catch((err) => {
+  console.error(err.message);
+  process.exitCode = 1;
+});